@@ -11,6 +11,9 @@
 
 module.exports = {
   vt: require('./lib/vt').vt,
-  term: require('./lib/term').term
+  term: require('./lib/term').term,
+  CHAR_ATTRS: require('./lib/term').CHAR_ATTRS,
+  LINE_ATTRS: require('./lib/term').LINE_ATTRS,
+  char_map: require('./lib/char_map')
 };
 
@@ -17,8 +17,10 @@ var util = require('util');
 //
 // Character map object.
 // ```
-// @spec {object} { name, glmap }
+// @spec {object} { name, glmap, nrc }
 // ```
+// `nrc` marks National Replacement Character sets, which can only be 
+// designated when DECNRCM (mode 42) is set.
 //
 var char_map = function(spec, my) {
   var _super = {};
@@ -28,6 +30,7 @@ var char_map = function(spec, my) {
   // #### _private members_
   //
   my.name = spec.name;
+  my.nrc = spec.nrc || false;
 
   //
   // #### _public methods_
@@ -55,8 +58,8 @@ var char_map = function(spec, my) {
     /* This is the same as GL except all keys have their MSB set. */
     my.grmap = {};
 
-    glkeys.forEach(function(glkey) {
-      var grkey = String.fromCharCode(glkey.charCodeAt(0) & 0x80);
+    Object.keys(my.glmap).forEach(function(glkey) {
+      var grkey = String.fromCharCode(glkey.charCodeAt(0) | 0x80);
       my.grmap[grkey] = my.glmap[glkey];
     });
 
@@ -87,6 +90,9 @@ var char_map = function(spec, my) {
 
   common.method(that, 'reset', reset, _super);
 
+  common.getter(that, 'name', my, 'name');
+  common.getter(that, 'nrc', my, 'nrc');
+
   return that;
 };
 
@@ -167,6 +173,7 @@ exports.maps['B'] = char_map({
 //
 exports.maps['4'] = char_map({
   name: 'dutch', 
+  nrc: true,
   glmap: {
     '\x23': '\u00a3',  // # -> british-pound
 
@@ -190,6 +197,7 @@ exports.maps['4'] = char_map({
 exports.maps['C'] =
   exports.maps['5'] = char_map({
   name: 'finnish', 
+  nrc: true,
   glmap: {
     '\x5b': '\u00c4',  // [ -> 'A' umlaut
     '\x5c': '\u00d6',  // \ -> 'O' umlaut
@@ -211,6 +219,7 @@ exports.maps['C'] =
 //
 exports.maps['R'] = char_map({
   name: 'french', 
+  nrc: true,
   glmap: {
     '\x23': '\u00a3',  // # -> british-pound
 
@@ -233,7 +242,8 @@ exports.maps['R'] = char_map({
 //
 exports.maps['Q'] = char_map({
   name: 'french canadian', 
-  glnap: {
+  nrc: true,
+  glmap: {
     '\x40': '\u00e0',  // @ -> 'a' grave
 
     '\x5b': '\u00e2',  // [ -> 'a' circumflex
@@ -256,6 +266,7 @@ exports.maps['Q'] = char_map({
 //
 exports.maps['K'] = char_map({
   name: 'german', 
+  nrc: true,
   glmap: {
     '\x40': '\u00a7',  // @ -> section symbol (double s)
 
@@ -276,6 +287,7 @@ exports.maps['K'] = char_map({
 //
 exports.maps['Y'] = char_map({
   name: 'italian', 
+  nrc: true,
   glmap: {
     '\x23': '\u00a3',  // # -> british-pound
 
@@ -301,6 +313,7 @@ exports.maps['Y'] = char_map({
 exports.maps['E'] =
 exports.maps['6'] = char_map({
   name: 'norwegian/danish', 
+  nrc: true,
   glmap: {
     '\x40': '\u00c4',  // @ -> 'A' umlaut
 
@@ -324,6 +337,7 @@ exports.maps['6'] = char_map({
 //
 exports.maps['Z'] = char_map({
   name: 'spanish', 
+  nrc: true,
   glmap: {
     '\x23': '\u00a3',  // # -> british-pound
 
@@ -346,6 +360,7 @@ exports.maps['Z'] = char_map({
 exports.maps['7'] =
 exports.maps['H'] = char_map({
   name: 'swedish', 
+  nrc: true,
   glmap: {
     '\x40': '\u00c9',  // @ -> 'E' acute
 
@@ -369,6 +384,7 @@ exports.maps['H'] = char_map({
 //
 exports.maps['='] = char_map({
   name: 'swiss', 
+  nrc: true,
   glmap: {
     '\x23': '\u00f9',  // # -> 'u' grave
 
@@ -7,7 +7,6 @@
  * @log
  * - 20130412 spolu   Creation to replace fwk
  */
-var util = require('util');
 var events = require('events');
 
 "use strict";
@@ -227,12 +226,12 @@ var factory = function(spec, my) {
     pre += (my.name ? '{' + my.name.toUpperCase() + '} ' : '');
     pre += (debug ? 'DEBUG: ' : '');
     str.toString().split('\n').forEach(function(line) {
-      if(error)
-        util.error(pre + line)
-      else if(debug)
-        util.debug(pre + line);
+      /* `util.error`, `util.debug` and `util.print` are gone from node, */
+      /* their replacements keep the same streams and line endings        */
+      if(error || debug)
+        console.error(pre + line);
       else 
-        util.print(pre + line);
+        process.stdout.write(pre + line);
     });
   };
 
@@ -264,7 +263,7 @@ var factory = function(spec, my) {
         log(str, true);
     },
     info: function(str) {
-      util.print(str + '\n');
+      process.stdout.write(str + '\n');
     }
   };
 
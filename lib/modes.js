@@ -0,0 +1,78 @@
+/*
+ * vt.js: modes.js
+ *
+ * Copyright (c) 2013, Stanislas Polu. All rights reserved.
+ * (see LICENSE file)
+ */
+'use strict';
+
+//
+// ## Mode registry
+// ANSI and DEC private modes keyed by their code. `vt` emits `event` (with
+// `args` followed by the mode state) on SM/RM and DECSET/DECRST. `term`
+// computes the mode state reported by DECRQM and saved by XTSAVE from the
+// entry:
+// - `mode`:    bit of `my.mode` (`TERM_MODE` key)
+// - `cursor`:  bit of `my.cursor.state` (`CURSOR_STATE` key)
+// - `inverse`: the mode is set when the bit is unset
+// - `value`:   fixed DECRQM value (3: permanently set, 4: permanently reset,
+//              2 for modes that are actions rather than states)
+// - `state`:   initial state of a mode kept by `vt` as it affects parsing
+//              (see `vt.dec_mode`)
+// Entries with none of these have their state computed by `term` itself and
+// entries with no `event` are handled by `vt` itself.
+//
+
+//
+// ## ANSI_MODES
+//
+var ANSI_MODES = {
+  '2': { mode: 'KBDLOCK' },
+  '4': { event: 'set_insert_mode', mode: 'INSERT' },
+  '20': { event: 'set_auto_carriage_return', mode: 'CRLF' }
+};
+
+//
+// ## DEC_MODES
+//
+var DEC_MODES = {
+  '1': { event: 'set_application_cursor', mode: 'APPCURSOR' },
+  '2': { mode: 'VT52', inverse: true },
+  '3': {},
+  '4': { value: 4 },
+  '5': { event: 'set_reverse_video', mode: 'REVERSE' },
+  '6': { event: 'set_origin_mode', cursor: 'ORIGIN' },
+  '7': { event: 'set_wrap_around', mode: 'WRAP' },
+  '8': { value: 3 },
+  '9': { event: 'set_mouse_tracking', args: ['x10'], mode: 'MOUSEX10' },
+  '12': { event: 'set_cursor_blink' },
+  '25': { event: 'set_cursor_visible', mode: 'HIDE', inverse: true },
+  '40': { state: true },
+  '42': { state: false },
+  '45': { event: 'set_reverse_wrap_around', value: 4 },
+  '47': { event: 'set_alternate_mode', mode: 'ALTSCREEN' },
+  '66': { event: 'set_application_keypad', mode: 'APPKEYPAD' },
+  '67': { event: 'set_keyboard_backspace_sends_backspace', mode: 'BKSPBS' },
+  '69': { event: 'set_left_right_margin_mode', state: false },
+  '1000': { event: 'set_mouse_tracking', args: ['normal'], mode: 'MOUSEBTN' },
+  '1002': { event: 'set_mouse_tracking', args: ['button'],
+            mode: 'MOUSEMOTION' },
+  '1003': { event: 'set_mouse_tracking', args: ['any'], mode: 'MOUSEANY' },
+  '1004': { event: 'set_focus_reporting', mode: 'FOCUS' },
+  '1005': { event: 'set_mouse_encoding', args: ['utf8'], mode: 'MOUSEUTF8' },
+  '1006': { event: 'set_mouse_encoding', args: ['sgr'], mode: 'MOUSESGR' },
+  '1007': { event: 'set_alternate_scroll', mode: 'ALTSCROLL' },
+  '1010': { event: 'set_scroll_on_output', value: 4 },
+  '1011': { event: 'set_scroll_on_keystroke', value: 4 },
+  '1015': { event: 'set_mouse_encoding', args: ['urxvt'],
+            mode: 'MOUSEURXVT' },
+  '1036': { event: 'set_keyboard_meta_sends_escape', mode: 'METAESC' },
+  '1039': { event: 'set_keyboard_alt_sends_escape', mode: 'ALTESC' },
+  '1047': { event: 'set_alternate_mode', mode: 'ALTSCREEN' },
+  '1048': { value: 2 },
+  '1049': { mode: 'ALTSCREEN' },
+  '2004': { event: 'set_bracketed_paste', mode: 'BRACKETPASTE' }
+};
+
+exports.ANSI_MODES = ANSI_MODES;
+exports.DEC_MODES = DEC_MODES;
@@ -0,0 +1,269 @@
+/*
+ * vt.js: sixel.js
+ *
+ * Copyright (c) 2013, Stanislas Polu. All rights reserved.
+ * (see LICENSE file)
+ */
+'use strict';
+
+//
+// ## DEFAULT_PALETTE
+// VT340 default color registers, expressed in RGB percentages
+// http://vt100.net/docs/vt3xx-gp/chapter2.html#S2.4
+//
+var DEFAULT_PALETTE = [
+  [0, 0, 0], [20, 20, 80], [80, 13, 13], [20, 80, 20],
+  [80, 20, 80], [20, 80, 80], [80, 80, 20], [53, 53, 53],
+  [26, 26, 26], [33, 33, 60], [60, 26, 26], [33, 60, 33],
+  [60, 33, 60], [33, 60, 60], [60, 60, 33], [80, 80, 80]
+];
+
+//
+// ## REGISTERS
+// Number of color registers available to an image
+//
+var REGISTERS = 256;
+
+//
+// ## MAX_SIZE
+// Default maximum size of an image in pixels. Anything painted beyond it is
+// clipped
+//
+var MAX_SIZE = { width: 1000, height: 1000 };
+
+//
+// ### percent
+// ```
+// @p {number} color component in percent (0-100)
+// ```
+// Converts a percentage to an 8-bit color component
+//
+var percent = function(p) {
+  return Math.round(Math.min(Math.max(p, 0), 100) * 255 / 100);
+};
+
+//
+// ### hls
+// ```
+// @h {number} hue (0-360, 0 being blue as defined by DEC)
+// @l {number} lightness (0-100)
+// @s {number} saturation (0-100)
+// ```
+// Converts a DEC HLS color to an 8-bit `[r, g, b]` color
+//
+var hls = function(h, l, s) {
+  /* DEC hue starts at blue, standard hue starts at red */
+  h = ((h + 240) % 360) / 360;
+  l = Math.min(Math.max(l, 0), 100) / 100;
+  s = Math.min(Math.max(s, 0), 100) / 100;
+  if(s === 0)
+    return [percent(l * 100), percent(l * 100), percent(l * 100)];
+
+  var q = (l < 0.5) ? l * (1 + s) : l + s - l * s;
+  var p = 2 * l - q;
+  var channel = function(t) {
+    if(t < 0) t += 1;
+    if(t > 1) t -= 1;
+    if(t < 1 / 6) return p + (q - p) * 6 * t;
+    if(t < 1 / 2) return q;
+    if(t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [
+    Math.round(channel(h + 1 / 3) * 255),
+    Math.round(channel(h) * 255),
+    Math.round(channel(h - 1 / 3) * 255)
+  ];
+};
+
+//
+// ### run
+// ```
+// @data    {string} the sixel data (after the `q` final character)
+// @palette {array} color registers as `[r, g, b]` (modified in place)
+// @paint   {function} paint(x, y, color) called for each pixel set
+// @max     {object} `{ width, height }` maximum size of the image
+// @return  {object} `{ width, height }` of the painted area and the raster
+//                   attributes `{ raster_width, raster_height }` if any
+// ```
+// Interprets the sixel data, calling `paint` for each pixel that is set
+// within the maximum size
+//
+var run = function(data, palette, paint, max) {
+  var x = 0;
+  var y = 0;
+  var color = 0;
+  var width = 0;
+  var height = 0;
+  var raster = { width: 0, height: 0 };
+  var i = 0;
+
+  //
+  // Reads a list of `;` separated numeric parameters starting at `i`
+  //
+  var params = function() {
+    var list = [];
+    var current = '';
+    while(i < data.length) {
+      var c = data.charAt(i);
+      if(c >= '0' && c <= '9') {
+        current += c;
+      }
+      else if(c === ';') {
+        list.push(current.length ? parseInt(current, 10) : 0);
+        current = '';
+      }
+      else {
+        break;
+      }
+      i++;
+    }
+    list.push(current.length ? parseInt(current, 10) : 0);
+    return list;
+  };
+
+  //
+  // Paints a sixel `value` (6 vertical pixels) `count` times
+  //
+  var sixel = function(value, count) {
+    /* Repeat counts are clipped to the maximum width */
+    count = Math.max(Math.min(count, max.width - x), 0);
+    if(value && count) {
+      for(var b = 0; b < 6 && y + b < max.height; b ++) {
+        if(value & (1 << b)) {
+          for(var n = 0; n < count; n ++)
+            paint(x + n, y + b, palette[color]);
+          if(y + b + 1 > height)
+            height = y + b + 1;
+        }
+      }
+    }
+    x += count;
+    if(x > width)
+      width = x;
+  };
+
+  while(i < data.length) {
+    var c = data.charAt(i);
+    var code = data.charCodeAt(i);
+
+    if(code >= 0x3f && code <= 0x7e) {
+      /* Sixel data character */
+      sixel(code - 0x3f, 1);
+      i++;
+    }
+    else if(c === '!') {
+      /* Graphics Repeat Introducer: `! Pn <sixel>` */
+      i++;
+      var count = params()[0] || 1;
+      code = data.charCodeAt(i);
+      if(code >= 0x3f && code <= 0x7e) {
+        sixel(code - 0x3f, count);
+        i++;
+      }
+    }
+    else if(c === '#') {
+      /* Color Introducer: `# Pc` or `# Pc ; Pu ; Px ; Py ; Pz` */
+      i++;
+      var p = params();
+      var reg = p[0] % REGISTERS;
+      if(p.length >= 5) {
+        if(p[1] === 1)
+          palette[reg] = hls(p[2], p[3], p[4]);
+        else if(p[1] === 2)
+          palette[reg] = [percent(p[2]), percent(p[3]), percent(p[4])];
+      }
+      color = reg;
+    }
+    else if(c === '"') {
+      /* Raster Attributes: `" Pan ; Pad ; Ph ; Pv` */
+      i++;
+      var r = params();
+      raster.width = Math.min(r[2] || 0, max.width);
+      raster.height = Math.min(r[3] || 0, max.height);
+    }
+    else if(c === '$') {
+      /* Graphics Carriage Return */
+      x = 0;
+      i++;
+    }
+    else if(c === '-') {
+      /* Graphics New Line */
+      x = 0;
+      y += 6;
+      i++;
+    }
+    else {
+      /* Ignore anything else (whitespace, unknown characters) */
+      i++;
+    }
+  }
+
+  return {
+    width: width,
+    height: height,
+    raster_width: raster.width,
+    raster_height: raster.height
+  };
+};
+
+//
+// ### decode
+// ```
+// @data       {string} the sixel data (after the `q` final character)
+// @background {number} the P2 parameter of the sequence. If 1, pixels that
+//                      are not set remain transparent, otherwise they are
+//                      painted with color register 0 [optional]
+// @max        {object} `{ width, height }` maximum size of the image in
+//                      pixels (defaults to `MAX_SIZE`) [optional]
+// @return {object} `{ width, height, data }` where `data` is a Buffer of
+//                  `width * height` RGBA pixels
+// ```
+// Decodes a sixel image
+//
+var decode = function(data, background, max) {
+  max = max || MAX_SIZE;
+  var palette = DEFAULT_PALETTE.map(function(c) {
+    return [percent(c[0]), percent(c[1]), percent(c[2])];
+  });
+  for(var i = palette.length; i < REGISTERS; i ++) {
+    palette[i] = [0, 0, 0];
+  }
+
+  /* First pass to compute the image geometry */
+  var size = run(data, palette.map(function(c) { return c; }),
+                 function() {}, max);
+  var width = Math.max(size.width, size.raster_width);
+  var height = Math.max(size.height, size.raster_height);
+
+  var pixels = Buffer.alloc(width * height * 4);
+  if(background !== 1) {
+    var bg = palette[0];
+    for(var p = 0; p < width * height; p ++) {
+      pixels[p * 4] = bg[0];
+      pixels[p * 4 + 1] = bg[1];
+      pixels[p * 4 + 2] = bg[2];
+      pixels[p * 4 + 3] = 255;
+    }
+  }
+
+  /* Second pass to paint the pixels */
+  run(data, palette, function(x, y, color) {
+    if(x >= width || y >= height)
+      return;
+    var o = (y * width + x) * 4;
+    pixels[o] = color[0];
+    pixels[o + 1] = color[1];
+    pixels[o + 2] = color[2];
+    pixels[o + 3] = 255;
+  }, max);
+
+  return {
+    width: width,
+    height: height,
+    data: pixels
+  };
+};
+
+exports.MAX_SIZE = MAX_SIZE;
+exports.decode = decode;
@@ -20,6 +20,8 @@ var common = require('./common.js');
 var events = require('events');
 var util = require('util');
 var factory = common.factory;
+var ANSI_MODES = require('./modes.js').ANSI_MODES;
+var DEC_MODES = require('./modes.js').DEC_MODES;
 
 //
 // ## CHAR_ATTRS
@@ -36,7 +38,25 @@ var CHAR_ATTRS = {
   BOLD: 4,
   GFX: 8,
   ITALIC: 16,
-  BLINK: 32
+  BLINK: 32,
+  INVISIBLE: 64,
+  FAINT: 128,
+  STRIKE: 256,
+  OVERLINE: 512,
+  PROTECTED: 1024
+};
+
+//
+// ## LINE_ATTRS
+// Line attributes set by DECSWL, DECDWL and DECDHL. They are stored as the 
+// `attr` property of each line of the buffer (undefined for single width). 
+// Double width and double height lines only use half of the columns.
+//
+var LINE_ATTRS = {
+  SINGLE: 0,
+  DOUBLE_WIDTH: 1,
+  DOUBLE_TOP: 2,
+  DOUBLE_BOTTOM: 3
 };
 
 var CURSOR_STATE = { 
@@ -60,9 +80,170 @@ var TERM_MODE = {
   ECHO: 1024,
   APPCURSOR: 2048,
   MOUSESGR: 4096,
+  MOUSEX10: 8192,
+  MOUSEANY: 16384,
+  MOUSEUTF8: 32768,
+  MOUSEURXVT: 65536,
+  ALTSCROLL: 131072,
+  BRACKETPASTE: 262144,
+  FOCUS: 524288,
+  BKSPBS: 1048576,
+  METAESC: 2097152,
+  ALTESC: 4194304,
+  VT52: 8388608
+};
+TERM_MODE.MOUSE = TERM_MODE.MOUSEX10 | TERM_MODE.MOUSEBTN | 
+                  TERM_MODE.MOUSEMOTION | TERM_MODE.MOUSEANY;
+TERM_MODE.MOUSEENC = TERM_MODE.MOUSEUTF8 | TERM_MODE.MOUSESGR | 
+                     TERM_MODE.MOUSEURXVT;
+
+//
+// ## MOUSE_TRACKING
+// Mouse tracking protocols as emitted by `vt` and their `TERM_MODE` bit
+//
+var MOUSE_TRACKING = {
+  x10: TERM_MODE.MOUSEX10,
+  normal: TERM_MODE.MOUSEBTN,
+  button: TERM_MODE.MOUSEMOTION,
+  any: TERM_MODE.MOUSEANY
+};
+
+//
+// ## MOUSE_ENCODING
+// Mouse report encodings as emitted by `vt` and their `TERM_MODE` bit
+//
+var MOUSE_ENCODING = {
+  utf8: TERM_MODE.MOUSEUTF8,
+  sgr: TERM_MODE.MOUSESGR,
+  urxvt: TERM_MODE.MOUSEURXVT
+};
+
+//
+// ## GLOBAL_MODES
+// Mode bits that belong to the terminal rather than to the current screen.
+// They are preserved when switching to and from the alternate screen.
+//
+var GLOBAL_MODES = TERM_MODE.MOUSE | TERM_MODE.MOUSEENC | 
+                   TERM_MODE.ALTSCROLL | TERM_MODE.BRACKETPASTE |
+                   TERM_MODE.FOCUS | TERM_MODE.APPCURSOR | 
+                   TERM_MODE.APPKEYPAD | TERM_MODE.BKSPBS | 
+                   TERM_MODE.METAESC | TERM_MODE.ALTESC | TERM_MODE.HIDE |
+                   TERM_MODE.VT52;
+
+//
+// ## DEFAULT_MODE
+// Mode bits set on (hard or soft) reset
+//
+var DEFAULT_MODE = TERM_MODE.WRAP | TERM_MODE.METAESC | TERM_MODE.ALTESC;
+
+//
+// ## KEYS
+// Key tables used by `key` to encode DOM-like key events. Keys are DOM 
+// `KeyboardEvent.key` values (or `KeyboardEvent.code` for the keypad).
+//
+// - `CURSOR`: `ESC [ x` (`ESC O x` in application cursor mode)
+// - `SS3`:    `ESC O x`
+// - `TILDE`:  `ESC [ n ~`
+// - `KEYPAD`: `ESC O x` in application keypad mode
+//
+// Modified keys are sent xterm style as `ESC [ 1 ; m x` and `ESC [ n ; m ~`
+//
+var KEYS = {
+  CURSOR: {
+    'ArrowUp': 'A',
+    'ArrowDown': 'B',
+    'ArrowRight': 'C',
+    'ArrowLeft': 'D',
+    'Home': 'H',
+    'End': 'F'
+  },
+  SS3: {
+    'F1': 'P',
+    'F2': 'Q',
+    'F3': 'R',
+    'F4': 'S'
+  },
+  TILDE: {
+    'Insert': 2,
+    'Delete': 3,
+    'PageUp': 5,
+    'PageDown': 6,
+    'F5': 15,
+    'F6': 17,
+    'F7': 18,
+    'F8': 19,
+    'F9': 20,
+    'F10': 21,
+    'F11': 23,
+    'F12': 24,
+    'F13': 25,
+    'F14': 26,
+    'F15': 28,
+    'F16': 29,
+    'F17': 31,
+    'F18': 32,
+    'F19': 33,
+    'F20': 34
+  },
+  KEYPAD: {
+    'Numpad0': 'p',
+    'Numpad1': 'q',
+    'Numpad2': 'r',
+    'Numpad3': 's',
+    'Numpad4': 't',
+    'Numpad5': 'u',
+    'Numpad6': 'v',
+    'Numpad7': 'w',
+    'Numpad8': 'x',
+    'Numpad9': 'y',
+    'NumpadMultiply': 'j',
+    'NumpadAdd': 'k',
+    'NumpadComma': 'l',
+    'NumpadSubtract': 'm',
+    'NumpadDecimal': 'n',
+    'NumpadDivide': 'o',
+    'NumpadEnter': 'M',
+    'NumpadEqual': 'X'
+  }
 };
     
 
+//
+// ## DEFAULT_COLORS
+// Default 256 color palette (xterm) as `[r, g, b]` entries: 16 system colors,
+// a 6x6x6 color cube and a 24 steps grayscale ramp
+//
+var DEFAULT_COLORS = (function() {
+  var colors = [
+    [0x00, 0x00, 0x00], [0xcd, 0x00, 0x00], [0x00, 0xcd, 0x00], 
+    [0xcd, 0xcd, 0x00], [0x00, 0x00, 0xee], [0xcd, 0x00, 0xcd], 
+    [0x00, 0xcd, 0xcd], [0xe5, 0xe5, 0xe5], [0x7f, 0x7f, 0x7f], 
+    [0xff, 0x00, 0x00], [0x00, 0xff, 0x00], [0xff, 0xff, 0x00], 
+    [0x5c, 0x5c, 0xff], [0xff, 0x00, 0xff], [0x00, 0xff, 0xff], 
+    [0xff, 0xff, 0xff]
+  ];
+  var levels = [0x00, 0x5f, 0x87, 0xaf, 0xd7, 0xff];
+  for(var i = 0; i < 216; i ++) {
+    colors.push([levels[Math.floor(i / 36)], 
+                 levels[Math.floor(i / 6) % 6], 
+                 levels[i % 6]]);
+  }
+  for(var i = 0; i < 24; i ++) {
+    colors.push([8 + 10 * i, 8 + 10 * i, 8 + 10 * i]);
+  }
+  return colors;
+})();
+
+//
+// ## DYNAMIC_COLORS
+// Default foreground, background and cursor colors and their OSC code
+//
+var DYNAMIC_COLORS = {
+  foreground: { code: 10, rgb: DEFAULT_COLORS[7] },
+  background: { code: 11, rgb: DEFAULT_COLORS[0] },
+  cursor: { code: 12, rgb: DEFAULT_COLORS[7] }
+};
+
 // 
 // ## Term
 //
@@ -74,7 +255,16 @@ var TERM_MODE = {
 // It also keeps track of the entire scrollback history composed of lines of
 // glyphs. 
 //
-// Glyphs are tuples of the type: `[[CHAR_ATTR, fg_color, bg_color], char]`
+// Glyphs are tuples of the type: `[attr, char, ext]` (see `CHAR_ATTRS`) where
+// `ext` is only present for glyphs carrying extended attributes. It is an 
+// object shared between all glyphs printed with the same extended attributes
+// and must be considered immutable:
+// - `fg`, `bg`: 24-bit foreground and background colors as `[r, g, b]`
+// - `underline`: underline style if not single (`double`, `curly`, `dotted`
+//   or `dashed`), only meaningful with `CHAR_ATTRS.UNDERLINE`
+// - `ul_color`: underline color, as a palette index or `[r, g, b]`
+// - `link`: the hyperlink `{ uri, id }` shared by the glyphs of a link (see
+//   `link_at`)
 //
 // A `pty` object must be passed to the term object. It must comply to the
 // following interface:
@@ -87,14 +277,30 @@ var TERM_MODE = {
 //
 // ```
 // @inherits events.EventEmitter
-// @param spec { pty, cols, rows }
+// @param spec { pty, cols, rows, encoding, paste_chunk, 
+//               cell_width, cell_height, max_images, unknown }
 //
 // @emits `refresh`   [dirty, slice, cursor]
 // @emits `alternate` [is_alt]
 // @emits `title`     [title]
+// @emits `icon`      [icon_name]
+// @emits `palette`   [palette]
+// @emits `cwd`       [cwd]
+// @emits `image`     [placement]
+// @emits `cursor`    [cursor]
+//
+// @emits `command_start`  [command]
+// @emits `command_finish` [command]
 //
 // @emits `resize`    [cols, rows]
+// @emits `resize_request` [cols, rows, accept]
+// @emits `sequence`  [name, ...] (see `vt.register`)
+// @emits `error`     [err] unknown sequence under the `strict` policy
 // ```
+//
+// Under the `strict` policy, `error` is only emitted when it is listened 
+// to; errors are logged otherwise instead of being thrown out of the pty
+// `data` handler.
 // 
 var term = function(spec, my) {
   var _super = {};
@@ -105,7 +311,43 @@ var term = function(spec, my) {
   //
   my.geometry = [spec.cols || 0, spec.rows || 0];  /* [cols, rows] */
   my.pty = spec.pty;
-  my.vt = require('./vt.js').vt({});
+  my.paste_chunk = spec.paste_chunk || 4096;
+  /* Size of a cell in pixels, used to place images */
+  my.cell_width = spec.cell_width || 8;
+  my.cell_height = spec.cell_height || 16;
+  /* Maximum number of image placements retained */
+  my.max_images = spec.max_images || 64;
+  my.cursor_shape = 'block';
+  my.cursor_blink = true;
+  my.cursor_key = null;
+  my.title_stack = [];
+  my.saved_modes = {};
+  my.focus = true;
+  my.palette = {
+    colors: DEFAULT_COLORS.map(function(c) { return c.slice(); }),
+    foreground: DYNAMIC_COLORS.foreground.rgb.slice(),
+    background: DYNAMIC_COLORS.background.rgb.slice(),
+    cursor: DYNAMIC_COLORS.cursor.rgb.slice()
+  };
+
+  my.cwd = null;
+
+  /* Hyperlinks by `id;uri` so that glyphs of a link share one object. The */
+  /* table is emptied when full, links only live as long as their glyphs   */
+  my.links = {};
+  my.links_count = 0;
+  my.max_links = 1024;
+
+  my.unknown = spec.unknown;
+  my.vt = require('./vt.js').vt({
+    encoding: spec.encoding,
+    unknown: my.unknown,
+    /* Images are limited to the pixel size of the screen */
+    max_image_size: {
+      width: my.geometry[0] * my.cell_width,
+      height: my.geometry[1] * my.cell_height
+    }
+  });
 
   /* See `reset` for the initialization of the private variables relative */
   /* to the terminal state.                                               */
@@ -118,6 +360,15 @@ var term = function(spec, my) {
   //
   var resize;         /* resize(cols, rows, silent); */
   var cursor;         /* cursor(); */
+  var mouse;          /* mouse(evt); */
+  var mouse_mode;     /* mouse_mode(); */
+  var paste;          /* paste(text); */
+  var focus;          /* focus(has_focus); */
+  var key;            /* key(evt); */
+  var palette;        /* palette(); */
+  var link_at;        /* link_at(x, y); */
+  var commands;       /* commands(); */
+  var images;         /* images(); */
 
   //
   // #### _private methods_
@@ -128,6 +379,7 @@ var term = function(spec, my) {
 
   var init;           /* init(); */
   var glyph;          /* glyph(char); */
+  var set_ext;        /* set_ext(key, value); */
   var reset;          /* reset(); */
   var save_cursor;    /* save_cursor() */
   var restore_cursor; /* restore_cursor() */
@@ -141,10 +393,23 @@ var term = function(spec, my) {
   var clear_region;   /* clear_region(x, y, cols, rows, char_value); */
   var delete_chars;   /* delete_chars(n); */
   var insert_chars;   /* insert_chars(n); */
+  var drop_images;    /* drop_images(line, [x, x_end]); */
+  var placement;      /* placement(anchor, y); */
 
   var blank_line;     /* blank_line(); */
   var scroll;         /* scroll(n); */
+  var scroll_margins; /* scroll_margins(top, n); */
+  var in_margins;     /* in_margins(); */
+  var line_width;     /* line_width(y); */
+  var guarded;        /* guarded(selective); */
   var put_char;       /* put_char(c); */
+  var check_cursor;   /* check_cursor(); */
+  var mode_state;     /* mode_state(code, dec); */
+  var color_spec;     /* color_spec(rgb); */
+  var sgr_params;     /* sgr_params(); */
+  var rect_area;      /* rect_area(rect); */
+  var rect_each;      /* rect_each(area, stream, fn); */
+  var rect_attrs;     /* rect_attrs(area, attrs, reverse); */
   
   //
   // _that_
@@ -197,13 +462,42 @@ var term = function(spec, my) {
   // @char {string} character to build the glyph from [optional, default: ' ']
   // @attr {number} override char attribute [optional]
   // ```
-  // Builds a new glyph with the current cursor character attributes
+  // Builds a new glyph with the current cursor character attributes. Blank
+  // glyphs (no `char` specified) are never protected.
   //
   glyph = function(char, attr) {
-    return [
+    var g = [
       (typeof attr !== 'undefined') ? attr : my.cursor.attr,
       (typeof char !== 'undefined') ? char : ' '
     ];
+    if(typeof char === 'undefined')
+      g[0] = UNSET(g[0], CHAR_ATTRS.PROTECTED << 18);
+    if(my.cursor.ext && typeof attr === 'undefined')
+      g[2] = my.cursor.ext;
+    return g;
+  };
+
+  //
+  // ### set_ext
+  // ```
+  // @key   {string} the extended attribute to set
+  // @value {object} its value (null to remove it)
+  // ```
+  // Sets an extended attribute on the cursor. `my.cursor.ext` is shared by
+  // the glyphs already printed, so a new object is built on each change.
+  //
+  set_ext = function(key, value) {
+    var ext = {};
+    if(my.cursor.ext) {
+      Object.keys(my.cursor.ext).forEach(function(k) {
+        ext[k] = my.cursor.ext[k];
+      });
+    }
+    if(value === null || typeof value === 'undefined')
+      delete ext[key];
+    else
+      ext[key] = value;
+    my.cursor.ext = Object.keys(ext).length ? ext : null;
   };
 
   //
@@ -212,24 +506,33 @@ var term = function(spec, my) {
   // data
   //
   reset = function() {
-    my.mode = TERM_MODE.WRAP;
+    my.mode = DEFAULT_MODE;
     my.cursor = {
       attr: 256 | (257 << 9) | (CHAR_ATTRS.NULL << 18),
+      ext: null,
       x: 0,
       y: 0,
       state: CURSOR_STATE.DEFAULT
     };
     my.tabs = {};
     my.buffer = [];
+    my.images = [];
+    /* Last command started by an OSC 133 prompt mark (see `commands`) */
+    my.command = null;
     my.title = null;
+    my.icon_name = null;
 
     my.base = 0;
     my.scroll = {
       top: 0,
-      bottom: my.geometry[1] - 1
+      bottom: my.geometry[1] - 1,
+      left: 0,
+      right: my.geometry[0] - 1
     };
 
     my.dirty = [];
+    my.rect_extent = false;
+    my.protection = null;
 
     /* Resize to fill buffer & setup stops */
     resize(my.geometry[0], my.geometry[1], true);
@@ -240,11 +543,13 @@ var term = function(spec, my) {
   // Soft resets the terminal
   //
   soft_reset = function() {
-    my.mode = TERM_MODE.WRAP;
+    my.mode = DEFAULT_MODE;
     /* Reset scroll region */
     my.scroll = {
       top: 0,
-      bottom: my.geometry[1] - 1
+      bottom: my.geometry[1] - 1,
+      left: 0,
+      right: my.geometry[0] - 1
     };
   };
 
@@ -262,7 +567,7 @@ var term = function(spec, my) {
   //
   restore_cursor = function() {
     my.cursor = my.saved_cursor;
-    move_to(my.cursor.x, my.cursor.y);
+    move_to(my.cursor.x, my.cursor.y, true);
   };
 
 
@@ -359,6 +664,10 @@ var term = function(spec, my) {
   // (`scroll(0)` has no effect)
   //
   scroll = function(n) {
+    if(my.scroll.left > 0 || my.scroll.right < my.geometry[0] - 1) {
+      /* Lines can't be moved as a whole with left and right margins */
+      return scroll_margins(my.scroll.top, n);
+    }
     if(n >= 0) {
       for(var i = 0; i < n; i ++) {
         var row = ++my.base + my.scroll.bottom;
@@ -373,7 +682,7 @@ var term = function(spec, my) {
     else {
       var n = -n;
       for(var i = 0; i < n; i ++) {
-        my.buffer.splice(my.base + my.scroll.bottom, 1);
+        drop_images(my.buffer.splice(my.base + my.scroll.bottom, 1)[0]);
         my.buffer.splice(my.base + my.scroll.top, 0, blank_line());
       }
     }
@@ -382,6 +691,91 @@ var term = function(spec, my) {
     /* TODO: selscroll? */
   };
 
+  //
+  // ### scroll_margins
+  // ```
+  // @top {number} first row of the scrolled area
+  // @n   {number} number of lines to scroll
+  // ```
+  // Scrolls `n` lines the area between row `top` and the bottom of the scroll
+  // region and between the left and right margins. If `n>0`, it scrolls up, 
+  // otherwise scrolls down. Nothing is pushed to the scroll back.
+  //
+  scroll_margins = function(top, n) {
+    var bottom = my.scroll.bottom;
+    var left = my.scroll.left;
+    var right = my.scroll.right;
+    var count = Math.min(Math.abs(n), bottom - top + 1);
+    var copy = function(from, to) {
+      var src = my.buffer[my.base + from];
+      var dst = my.buffer[my.base + to];
+      for(var x = left; x <= right; x ++) {
+        dst[x] = src[x];
+      }
+    };
+    var clear = function(y) {
+      for(var x = left; x <= right; x ++) {
+        my.buffer[my.base + y][x] = glyph();
+      }
+    };
+    if(n >= 0) {
+      for(var y = top; y <= bottom - count; y ++) {
+        copy(y + count, y);
+      }
+      for(var y = bottom - count + 1; y <= bottom; y ++) {
+        clear(y);
+      }
+    }
+    else {
+      for(var y = bottom; y >= top + count; y --) {
+        copy(y - count, y);
+      }
+      for(var y = top; y < top + count; y ++) {
+        clear(y);
+      }
+    }
+    dirty(my.base + top);
+    dirty(my.base + bottom);
+  };
+
+  //
+  // ### in_margins
+  // ```
+  // @return {boolean} whether the cursor is within the left and right margins
+  // ```
+  //
+  in_margins = function() {
+    return my.cursor.x >= my.scroll.left && my.cursor.x <= my.scroll.right;
+  };
+
+  //
+  // ### line_width
+  // ```
+  // @y {number} rows position
+  // @return {number} the number of usable columns on that line
+  // ```
+  //
+  line_width = function(y) {
+    var line = my.buffer[my.base + y];
+    if(line && line.attr)
+      return my.geometry[0] >> 1;
+    return my.geometry[0];
+  };
+
+  //
+  // ### guarded
+  // ```
+  // @selective {boolean} selective erase (DECSED, DECSEL, DECSERA)
+  // @return {boolean} whether the erase operation must keep protected glyphs
+  // ```
+  // Selective erase operations never erase protected glyphs. Other erase 
+  // operations keep them only if they were protected with SPA (ISO) rather 
+  // than with DECSCA (DEC).
+  //
+  guarded = function(selective) {
+    return selective || my.protection === 'iso';
+  };
+
   //
   // ### move_to
   // ```
@@ -389,21 +783,32 @@ var term = function(spec, my) {
   // @y        {number} rows position
   // @absolute {boolean} move with scroll region
   // ```
-  // Moves to the specified position clamping it if necessary
+  // Moves to the specified position clamping it if necessary. Moves computed
+  // from the cursor position are absolute, otherwise the origin of the 
+  // scroll region would be added twice in origin mode.
   //
   move_to = function(x, y, absolute) {
     factory.log().debug('move_to: ' + x + ' ' + y + ' ' + absolute);
     var miny = 0;
     var maxy = my.geometry[1] - 1;
+    var minx = 0;
+    var maxx = my.geometry[0];
     if(IS_SET(my.cursor.state, CURSOR_STATE.ORIGIN)) {
       miny = my.scroll.top;
       maxy = my.scroll.bottom;
-      if(!absolute) y += my.scroll.top;
+      minx = my.scroll.left;
+      maxx = my.scroll.right;
+      if(!absolute) {
+        y += my.scroll.top;
+        x += my.scroll.left;
+      }
     }
     my.cursor.state = UNSET(my.cursor.state, CURSOR_STATE.WRAPNEXT);
     dirty(my.base + my.cursor.y);
-    my.cursor.x = common.clamp(x, 0, my.geometry[0]);
+    my.cursor.x = common.clamp(x, minx, maxx);
     my.cursor.y = common.clamp(y, miny, maxy);
+    if(line_width(my.cursor.y) < my.geometry[0])
+      my.cursor.x = Math.min(my.cursor.x, line_width(my.cursor.y) - 1);
     dirty(my.base + my.cursor.y);
   };
 
@@ -422,7 +827,7 @@ var term = function(spec, my) {
     else {
       y += 1;
     }
-    move_to(first_col ? 0 : my.cursor.x, y);
+    move_to(first_col ? 0 : my.cursor.x, y, true);
   };
 
   //
@@ -433,17 +838,24 @@ var term = function(spec, my) {
   // Puts a single char taking care of wrapping
   //
   put_char = function(c) {
+    /* The cursor wraps at the right margin if it is within the margins */
+    var in_lr = my.cursor.x <= my.scroll.right;
     if(IS_SET(my.mode, TERM_MODE.WRAP) && 
        (my.cursor.state & CURSOR_STATE.WRAPNEXT)) {
       new_line(true);
+      if(in_lr)
+        move_to(my.scroll.left, my.cursor.y, true);
     }
-    if(IS_SET(my.mode, TERM_MODE.INSERT) && 
-       my.cursor.x + 1 < my.geometry[0]) {
-      my.buffer[my.base + my.cursor.y].splice(my.cursor.x, 0, [glyph()]);
+    var right = in_lr ? my.scroll.right : my.geometry[0] - 1;
+    /* Double width lines ignore the margins */
+    if(line_width(my.cursor.y) < my.geometry[0])
+      right = line_width(my.cursor.y) - 1;
+    if(IS_SET(my.mode, TERM_MODE.INSERT) && my.cursor.x < right) {
+      insert_chars(1);
     }
     my.buffer[my.base + my.cursor.y][my.cursor.x] = glyph(c);
-    if(my.cursor.x + 1 < my.geometry[0]) {
-      move_to(my.cursor.x + 1, my.cursor.y);
+    if(my.cursor.x < right) {
+      move_to(my.cursor.x + 1, my.cursor.y, true);
     }
     else {
       my.cursor.state = SET(my.cursor.state, CURSOR_STATE.WRAPNEXT);
@@ -459,12 +871,14 @@ var term = function(spec, my) {
   // @cols {number} number of columns to clear [optional]
   // @rows {number} number of rows to clear [optional]
   // @char_value {string} default char value to clear with [optional]
+  // @keep_protected {boolean} don't clear protected glyphs [optional]
   // ```
   // Clears the region by resetting all glyphes to `char_value` if defined. It
   // clears the screen region independently of scroll region. If no parameter is
-  // specified, it clears the entire screen;
+  // specified, it clears the entire screen; Lines cleared entirely are reset 
+  // to single width.
   //
-  clear_region = function(x, y, cols, rows, char_value) {
+  clear_region = function(x, y, cols, rows, char_value, keep_protected) {
     x = (typeof x !== 'undefined') ? x : 0;
     y = (typeof y !== 'undefined') ? y : 0;
     x = common.clamp(x, 0, my.geometry[0] - 1);
@@ -477,25 +891,80 @@ var term = function(spec, my) {
 
     for(var j = my.base + y; j < my.base + y_end; j ++) {
       for(var i = x; i < x_end; i ++) {
+        if(keep_protected && 
+           IS_SET(my.buffer[j][i][0], CHAR_ATTRS.PROTECTED << 18))
+          continue;
         my.buffer[j][i] = glyph(char_value);
       }
+      if(x === 0 && x_end === my.geometry[0])
+        delete my.buffer[j].attr;
+      drop_images(my.buffer[j], x, x_end);
     }
 
     dirty(my.base + y);
     dirty(my.base + y_end);
   };
 
+  //
+  // ### drop_images
+  // ```
+  // @line  {array} the buffer line
+  // @x     {number} first erased column [optional]
+  // @x_end {number} column following the last erased one [optional]
+  // ```
+  // Drops the image placements anchored on a line removed from the buffer,
+  // or anchored within its erased columns if `x` is specified.
+  //
+  drop_images = function(line, x, x_end) {
+    if(!line || !line.images)
+      return;
+    line.images = line.images.filter(function(anchor) {
+      if(typeof x === 'number' && (anchor.x < x || anchor.x >= x_end))
+        return true;
+      var i = my.images.indexOf(anchor);
+      if(i !== -1)
+        my.images.splice(i, 1);
+      return false;
+    });
+    if(!line.images.length)
+      delete line.images;
+  };
+
+  //
+  // ### placement
+  // ```
+  // @anchor {object} the image anchor `{ image, line, x, cols, rows }`
+  // @y      {number} the position of the anchor line in the buffer
+  // @return {object} the placement `{ image, x, y, cols, rows }`
+  // ```
+  // Computes the public placement of an image from its anchor
+  //
+  placement = function(anchor, y) {
+    return {
+      image: anchor.image,
+      x: anchor.x,
+      y: y,
+      cols: anchor.cols,
+      rows: anchor.rows
+    };
+  };
+
   //
   // ### delete_chars
   // ```
   // @n {number} number of characters to remove on the right
   // ```
-  // Deletes `n` characters on the right sliding the whole line
+  // Deletes `n` characters on the right sliding the line up to the right 
+  // margin. It has no effect if the cursor is outside the margins.
   //
   delete_chars = function(n) {
+    if(!in_margins())
+      return;
+    var line = my.buffer[my.base + my.cursor.y];
+    n = Math.min(n, my.scroll.right - my.cursor.x + 1);
     while(n--) {
-      my.buffer[my.base + my.cursor.y].splice(my.cursor.x, 1);
-      my.buffer[my.base + my.cursor.y].push(glyph());
+      line.splice(my.cursor.x, 1);
+      line.splice(my.scroll.right, 0, glyph());
     }
     dirty(my.base + my.cursor.y);
   };
@@ -506,17 +975,233 @@ var term = function(spec, my) {
   // @n {number} number of blank chars to insert
   // ```
   // Inserts `n` blank characters after the cursor. It clamps the insertion to
-  // the current buffer geometry.
+  // the right margin and has no effect if the cursor is outside the margins.
   //
   insert_chars = function(n) {
-    var x = my.cursor.x
-    while(n-- && x < my.geometry[0]) {
-      my.buffer[my.base + my.cursor.y].splice(x++, 0, glyph());
-      my.buffer[my.base + my.cursor.y].pop();
+    if(!in_margins())
+      return;
+    var line = my.buffer[my.base + my.cursor.y];
+    var x = my.cursor.x;
+    while(n-- && x <= my.scroll.right) {
+      line.splice(my.scroll.right, 1);
+      line.splice(x++, 0, glyph());
     }
     dirty(my.base + my.cursor.y);
   };
 
+  //
+  // ### rect_area
+  // ```
+  // @rect {object} `{ top, left, bottom, right }` as emitted by vt
+  // @return {object} the clamped screen area or null if empty
+  // ```
+  // Computes the screen area designated by a rectangular area operation. In
+  // origin mode the rectangle is relative to the scroll region and margins and
+  // clamped to them. Defaulted `bottom` and `right` extend to the end of the 
+  // page.
+  //
+  rect_area = function(rect) {
+    var miny = 0;
+    var maxy = my.geometry[1] - 1;
+    var minx = 0;
+    var maxx = my.geometry[0] - 1;
+    if(IS_SET(my.cursor.state, CURSOR_STATE.ORIGIN)) {
+      miny = my.scroll.top;
+      maxy = my.scroll.bottom;
+      minx = my.scroll.left;
+      maxx = my.scroll.right;
+    }
+    var area = {
+      top: miny + rect.top,
+      left: minx + rect.left,
+      bottom: (rect.bottom === null) ? maxy : miny + rect.bottom,
+      right: (rect.right === null) ? maxx : minx + rect.right
+    };
+    area.bottom = Math.min(area.bottom, maxy);
+    area.right = Math.min(area.right, maxx);
+    if(area.top > area.bottom || area.left > area.right)
+      return null;
+    return area;
+  };
+
+  //
+  // ### rect_each
+  // ```
+  // @area   {object} a screen area as returned by `rect_area`
+  // @stream {boolean} iterate from start to end position, wrapping lines
+  // @fn     {function} fn(line, x) called for each cell
+  // ```
+  // Iterates over the cells of an area, marking its lines dirty
+  //
+  rect_each = function(area, stream, fn) {
+    for(var y = area.top; y <= area.bottom; y ++) {
+      var line = my.buffer[my.base + y];
+      var left = (stream && y !== area.top) ? 0 : area.left;
+      var right = (stream && y !== area.bottom) ? 
+        my.geometry[0] - 1 : area.right;
+      for(var x = left; x <= right; x ++) {
+        fn(line, x);
+      }
+      dirty(my.base + y);
+    }
+  };
+
+  //
+  // ### rect_attrs
+  // ```
+  // @area    {object} a screen area as returned by `rect_area`
+  // @attrs   {array} the SGR attributes to change (DECCARA) or reverse 
+  //                  (DECRARA)
+  // @reverse {boolean} reverse the attributes instead of setting them
+  // ```
+  // Changes the attributes of the area, honoring the attribute change extent
+  // (DECSACE)
+  //
+  rect_attrs = function(area, attrs, reverse) {
+    var set = 0;
+    var unset = 0;
+    var all = CHAR_ATTRS.BOLD | CHAR_ATTRS.UNDERLINE | 
+              CHAR_ATTRS.BLINK | CHAR_ATTRS.REVERSE;
+    attrs.forEach(function(a) {
+      switch(a) {
+        case 0: unset |= all; break;
+        case 1: set |= CHAR_ATTRS.BOLD; break;
+        case 4: set |= CHAR_ATTRS.UNDERLINE; break;
+        case 5: set |= CHAR_ATTRS.BLINK; break;
+        case 7: set |= CHAR_ATTRS.REVERSE; break;
+        case 8: set |= CHAR_ATTRS.INVISIBLE; break;
+        case 22: unset |= CHAR_ATTRS.BOLD; break;
+        case 24: unset |= CHAR_ATTRS.UNDERLINE; break;
+        case 25: unset |= CHAR_ATTRS.BLINK; break;
+        case 27: unset |= CHAR_ATTRS.REVERSE; break;
+        case 28: unset |= CHAR_ATTRS.INVISIBLE; break;
+      }
+    });
+    if(reverse) {
+      /* DECRARA reverses all attributes for 0 and ignores the `2x` codes */
+      set = (attrs.indexOf(0) !== -1) ? all : set & all;
+    }
+    rect_each(area, !my.rect_extent, function(line, x) {
+      var attr = line[x][0];
+      if(reverse) {
+        attr = attr ^ (set << 18);
+      }
+      else {
+        attr = UNSET(attr, unset << 18);
+        attr = SET(attr, set << 18);
+      }
+      line[x] = line[x].slice();
+      line[x][0] = attr;
+    });
+  };
+
+  //
+  // ### check_cursor
+  // Emits a `cursor` event if the cursor shape, blink or visibility changed
+  // since the last call
+  //
+  check_cursor = function() {
+    var key = my.cursor_shape + ':' + my.cursor_blink + ':' +
+              IS_SET(my.mode, TERM_MODE.HIDE);
+    if(my.cursor_key !== null && key !== my.cursor_key)
+      that.emit('cursor', cursor());
+    my.cursor_key = key;
+  };
+
+  //
+  // ### mode_state
+  // ```
+  // @code {string} the mode code
+  // @dec  {boolean} DEC private mode if true, ANSI mode otherwise
+  // @return {number} DECRQM mode value
+  // ```
+  // Returns the state of a mode as reported by DECRQM: 0 (not recognized),
+  // 1 (set), 2 (reset), 3 (permanently set) or 4 (permanently reset)
+  //
+  mode_state = function(code, dec) {
+    var mode = (dec ? DEC_MODES : ANSI_MODES)[code];
+    if(!mode)
+      return 0;
+    if(mode.value)
+      return mode.value;
+    var set = null;
+    if(dec && typeof mode.state === 'boolean')
+      set = my.vt.dec_mode(code);
+    else if(mode.mode)
+      set = IS_SET(my.mode, TERM_MODE[mode.mode]);
+    else if(mode.cursor)
+      set = IS_SET(my.cursor.state, CURSOR_STATE[mode.cursor]);
+    else if(code === '3')
+      set = (my.geometry[0] === 132);
+    else if(code === '12')
+      set = my.cursor_blink;
+    else
+      return 0;
+    if(mode.inverse)
+      set = !set;
+    return set ? 1 : 2;
+  };
+
+  //
+  // ### color_spec
+  // ```
+  // @rgb {array} `[r, g, b]` 8-bit color
+  // ```
+  // Returns the X11 `rgb:rrrr/gggg/bbbb` specification of a color as used in 
+  // replies to color queries
+  //
+  color_spec = function(rgb) {
+    return 'rgb:' + rgb.map(function(c) {
+      var hex = common.zpad(c.toString(16), 2);
+      return hex + hex;
+    }).join('/');
+  };
+
+  //
+  // ### sgr_params
+  // Returns the SGR parameters (without `CSI` and `m`) that reproduce the
+  // current cursor character attributes, as reported by DECRQSS
+  //
+  sgr_params = function() {
+    var attr = my.cursor.attr >> 18;
+    var ext = my.cursor.ext || {};
+    var fg = (my.cursor.attr >> 9) & 0x1ff;
+    var bg = my.cursor.attr & 0x1ff;
+    var params = ['0'];
+
+    var color = function(base, idx, rgb) {
+      if(rgb)
+        params.push((base + 8) + ';2;' + rgb.join(';'));
+      else if(idx < 8)
+        params.push(String(base + idx));
+      else if(idx < 16)
+        params.push(String(base + 60 + idx - 8));
+      else if(idx < 256)
+        params.push((base + 8) + ';5;' + idx);
+    };
+
+    if(IS_SET(attr, CHAR_ATTRS.BOLD)) params.push('1');
+    if(IS_SET(attr, CHAR_ATTRS.FAINT)) params.push('2');
+    if(IS_SET(attr, CHAR_ATTRS.ITALIC)) params.push('3');
+    if(IS_SET(attr, CHAR_ATTRS.UNDERLINE)) {
+      var styles = { double: 2, curly: 3, dotted: 4, dashed: 5 };
+      params.push(ext.underline ? '4:' + styles[ext.underline] : '4');
+    }
+    if(IS_SET(attr, CHAR_ATTRS.BLINK)) params.push('5');
+    if(IS_SET(attr, CHAR_ATTRS.REVERSE)) params.push('7');
+    if(IS_SET(attr, CHAR_ATTRS.INVISIBLE)) params.push('8');
+    if(IS_SET(attr, CHAR_ATTRS.STRIKE)) params.push('9');
+    if(IS_SET(attr, CHAR_ATTRS.OVERLINE)) params.push('53');
+    color(30, fg, ext.fg);
+    color(40, bg, ext.bg);
+    if(typeof ext.ul_color === 'number')
+      params.push('58:5:' + ext.ul_color);
+    else if(ext.ul_color)
+      params.push('58:2::' + ext.ul_color.join(':'));
+
+    return params.join(';');
+  };
+
   /****************************************************************************/
   /*                           PUBLIC METHODS                                 */
   /****************************************************************************/
@@ -537,6 +1222,10 @@ var term = function(spec, my) {
 
     var old = my.geometry;
     my.geometry = [Math.round(cols), Math.round(rows)];
+    my.vt.set_max_image_size({
+      width: my.geometry[0] * my.cell_width,
+      height: my.geometry[1] * my.cell_height
+    });
 
     /* Resize cols */
     var len = my.buffer.length;
@@ -561,14 +1250,16 @@ var term = function(spec, my) {
       my.buffer.push(blank_line());
     }
     while(my.buffer.length > my.geometry[1] + my.base) {
-      my.buffer.pop();
+      drop_images(my.buffer.pop());
     }
     
     /* Clamp cursor */
-    move_to(my.cursor.x, my.cursor.y);
+    move_to(my.cursor.x, my.cursor.y, true);
     /* Reset scroll region */
     my.scroll.top = 0;
     my.scroll.bottom = my.geometry[1] - 1;
+    my.scroll.left = 0;
+    my.scroll.right = my.geometry[0] - 1;
     /* Set scoll region as dirty */
     dirty(my.base + my.scroll.top);
     dirty(my.base + my.scroll.bottom);
@@ -594,11 +1285,395 @@ var term = function(spec, my) {
   cursor = function() {
     return {
       x: my.cursor.x,
-      y: my.cursor.y
+      y: my.cursor.y,
+      shape: my.cursor_shape,
+      blink: my.cursor_blink,
+      visible: !IS_SET(my.mode, TERM_MODE.HIDE)
     };
   };
 
 
+  //
+  // ### mouse_mode
+  // Returns the mouse tracking state requested by the application: the active
+  // `protocol` (`x10`, `normal`, `button`, `any` or null), the report 
+  // `encoding` (`default`, `utf8`, `sgr` or `urxvt`) and whether alternate
+  // scroll mode is on.
+  //
+  mouse_mode = function() {
+    var protocol = null;
+    var encoding = 'default';
+    Object.keys(MOUSE_TRACKING).forEach(function(p) {
+      if(IS_SET(my.mode, MOUSE_TRACKING[p])) protocol = p;
+    });
+    Object.keys(MOUSE_ENCODING).forEach(function(e) {
+      if(IS_SET(my.mode, MOUSE_ENCODING[e])) encoding = e;
+    });
+    return {
+      protocol: protocol,
+      encoding: encoding,
+      alternate_scroll: IS_SET(my.mode, TERM_MODE.ALTSCROLL)
+    };
+  };
+
+  //
+  // ### mouse
+  // ```
+  // @evt {object} { type, button, x, y, modifiers }
+  // ```
+  // Reports a mouse event to the pty following the tracking protocol and
+  // encoding currently requested by the application.
+  // - `type` is one of `press`, `release`, `move` or `wheel`
+  // - `button` is 0 (left), 1 (middle), 2 (right) or null if no button is
+  //   pressed. For `wheel` events, 0 is up and 1 is down
+  // - `x`, `y` are 0-based cell coordinates
+  // - `modifiers` is an object `{ shift, alt, ctrl }` [optional]
+  //
+  // Returns true if the event was reported to the pty, false otherwise (in 
+  // which case the embedder is free to handle it, e.g. selection or scroll)
+  //
+  mouse = function(evt) {
+    var button = (typeof evt.button === 'number') ? evt.button : null;
+    var mods = evt.modifiers || {};
+
+    if(!IS_SET(my.mode, TERM_MODE.MOUSE)) {
+      /* Alternate scroll: the wheel sends cursor keys on the alt screen */
+      if(evt.type === 'wheel' && 
+         IS_SET(my.mode, TERM_MODE.ALTSCROLL) &&
+         IS_SET(my.mode, TERM_MODE.ALTSCREEN)) {
+        var pre = IS_SET(my.mode, TERM_MODE.APPCURSOR) ? '\x1bO' : '\x1b[';
+        my.pty.write(pre + (button === 1 ? 'B' : 'A'));
+        return true;
+      }
+      return false;
+    }
+
+    var x10 = IS_SET(my.mode, TERM_MODE.MOUSEX10);
+    var sgr = IS_SET(my.mode, TERM_MODE.MOUSESGR);
+    if(x10 && evt.type !== 'press')
+      return false;
+    if(evt.type === 'move' &&
+       !IS_SET(my.mode, TERM_MODE.MOUSEANY) &&
+       !(IS_SET(my.mode, TERM_MODE.MOUSEMOTION) && button !== null))
+      return false;
+
+    var cb;
+    if(evt.type === 'wheel')
+      cb = 64 + (button === 1 ? 1 : 0);
+    else if(button === null || (evt.type === 'release' && !sgr))
+      cb = 3;
+    else
+      cb = button;
+    if(evt.type === 'move')
+      cb += 32;
+    if(!x10) {
+      if(mods.shift) cb |= 4;
+      if(mods.alt || mods.meta) cb |= 8;
+      if(mods.ctrl) cb |= 16;
+    }
+
+    var x = evt.x + 1;
+    var y = evt.y + 1;
+
+    if(sgr) {
+      my.pty.write('\x1b[<' + cb + ';' + x + ';' + y + 
+                   (evt.type === 'release' ? 'm' : 'M'));
+    }
+    else if(IS_SET(my.mode, TERM_MODE.MOUSEURXVT)) {
+      my.pty.write('\x1b[' + (cb + 32) + ';' + x + ';' + y + 'M');
+    }
+    else if(IS_SET(my.mode, TERM_MODE.MOUSEUTF8)) {
+      /* Coordinates are sent as UTF-8 encoded characters (max 2047) */
+      if(x + 32 > 0x7ff || y + 32 > 0x7ff)
+        return false;
+      my.pty.write('\x1b[M' + String.fromCharCode(cb + 32, x + 32, y + 32));
+    }
+    else {
+      /* Coordinates are sent as raw bytes (max 255) */
+      if(x + 32 > 0xff || y + 32 > 0xff)
+        return false;
+      my.pty.write(new Buffer('\x1b[M' + 
+                              String.fromCharCode(cb + 32, x + 32, y + 32),
+                              'binary'));
+    }
+    return true;
+  };
+
+
+  //
+  // ### paste
+  // ```
+  // @text {string} the text to paste
+  // ```
+  // Pastes text to the pty. Newlines are normalized to CR (as if typed) and
+  // any embedded paste marker is stripped (repeatedly, so that nested markers
+  // cannot rebuild one). If bracketed paste mode is on, the text is wrapped
+  // in `ESC[200~` / `ESC[201~`. Large pastes are written in chunks of at most
+  // `paste_chunk` characters.
+  //
+  paste = function(text) {
+    var stripped = String(text);
+    do {
+      text = stripped;
+      stripped = text.replace(/(\x1b\[|\x9b)20[01]~/g, '');
+    } while(stripped !== text);
+    text = text.replace(/\r?\n/g, '\r');
+
+    var bracketed = IS_SET(my.mode, TERM_MODE.BRACKETPASTE);
+    if(bracketed)
+      my.pty.write('\x1b[200~');
+
+    var pos = 0;
+    while(pos < text.length) {
+      var end = Math.min(pos + my.paste_chunk, text.length);
+      /* Do not split a surrogate pair across two writes */
+      var code = text.charCodeAt(end - 1);
+      if(end < text.length && end - pos > 1 && code >= 0xd800 && code <= 0xdbff)
+        end--;
+      my.pty.write(text.substring(pos, end));
+      pos = end;
+    }
+
+    if(bracketed)
+      my.pty.write('\x1b[201~');
+  };
+
+  //
+  // ### focus
+  // ```
+  // @has_focus {boolean} whether the terminal has the focus
+  // ```
+  // Records the focus state of the terminal (see `has_focus`). If focus 
+  // reporting is on, the change is reported to the pty with `ESC[I` (focus 
+  // in) or `ESC[O` (focus out).
+  //
+  focus = function(has_focus) {
+    has_focus = has_focus ? true : false;
+    if(has_focus === my.focus)
+      return;
+    my.focus = has_focus;
+    if(IS_SET(my.mode, TERM_MODE.FOCUS))
+      my.pty.write(has_focus ? '\x1b[I' : '\x1b[O');
+  };
+
+  //
+  // ### key
+  // ```
+  // @evt {object} { key, code, ctrl, alt, shift, meta }
+  // ```
+  // Encodes a DOM-like key event and writes the resulting sequence to the pty
+  // following the application cursor and keypad modes, the backarrow mode 
+  // (DECBKM), the meta/alt sends escape modes and VT52 mode.
+  // - `key` is the DOM `KeyboardEvent.key` value (`a`, `Enter`, `F5`, ...)
+  // - `code` is the DOM `KeyboardEvent.code` value, used for the keypad 
+  //   [optional]
+  //
+  // Returns true if a sequence was written to the pty, false if the key is
+  // unknown or has no encoding (modifier keys alone for example)
+  //
+  key = function(evt) {
+    var k = evt.key;
+    var mod = 1 + (evt.shift ? 1 : 0) + (evt.alt ? 2 : 0) + 
+              (evt.ctrl ? 4 : 0) + (evt.meta ? 8 : 0);
+    var seq = null;
+    var escapable = false;
+
+    if(typeof k !== 'string' || k.length === 0)
+      return false;
+
+    if(IS_SET(my.mode, TERM_MODE.VT52) && 
+       (KEYS.CURSOR[k] || KEYS.SS3[k] || 
+        (IS_SET(my.mode, TERM_MODE.APPKEYPAD) && KEYS.KEYPAD[evt.code]))) {
+      /* VT52 mode has no modifiers nor Home/End keys */
+      if(KEYS.KEYPAD[evt.code] && (k.length === 1 || k === 'Enter'))
+        seq = '\x1b?' + KEYS.KEYPAD[evt.code];
+      else if('ABCD'.indexOf(KEYS.CURSOR[k]) !== -1 || KEYS.SS3[k])
+        seq = '\x1b' + (KEYS.CURSOR[k] || KEYS.SS3[k]);
+    }
+    else if(IS_SET(my.mode, TERM_MODE.APPKEYPAD) && 
+       KEYS.KEYPAD[evt.code] && (k.length === 1 || k === 'Enter')) {
+      seq = (mod > 1) ? '\x1b[1;' + mod + KEYS.KEYPAD[evt.code] :
+                        '\x1bO' + KEYS.KEYPAD[evt.code];
+    }
+    else if(KEYS.CURSOR[k]) {
+      if(mod > 1) 
+        seq = '\x1b[1;' + mod + KEYS.CURSOR[k];
+      else 
+        seq = (IS_SET(my.mode, TERM_MODE.APPCURSOR) ? '\x1bO' : '\x1b[') + 
+              KEYS.CURSOR[k];
+    }
+    else if(KEYS.SS3[k]) {
+      seq = (mod > 1) ? '\x1b[1;' + mod + KEYS.SS3[k] : '\x1bO' + KEYS.SS3[k];
+    }
+    else if(KEYS.TILDE[k]) {
+      seq = '\x1b[' + KEYS.TILDE[k] + ((mod > 1) ? ';' + mod : '') + '~';
+    }
+    else if(k === 'Enter') {
+      seq = IS_SET(my.mode, TERM_MODE.CRLF) ? '\r\n' : '\r';
+      escapable = true;
+    }
+    else if(k === 'Tab') {
+      seq = evt.shift ? '\x1b[Z' : '\t';
+      escapable = !evt.shift;
+    }
+    else if(k === 'Escape') {
+      seq = '\x1b';
+      escapable = true;
+    }
+    else if(k === 'Backspace') {
+      seq = IS_SET(my.mode, TERM_MODE.BKSPBS) ? '\x08' : '\x7f';
+      escapable = true;
+    }
+    else if(k.length === 1 || 
+            (k.length === 2 && k.charCodeAt(0) >= 0xd800 && 
+             k.charCodeAt(0) <= 0xdbff)) {
+      seq = k;
+      if(evt.ctrl) {
+        var c = k.toLowerCase();
+        if(c >= 'a' && c <= 'z')
+          seq = String.fromCharCode(c.charCodeAt(0) & 0x1f);
+        else if(c === ' ' || c === '@' || c === '2')
+          seq = '\x00';
+        else if(c === '[' || c === '3')
+          seq = '\x1b';
+        else if(c === '\\' || c === '4')
+          seq = '\x1c';
+        else if(c === ']' || c === '5')
+          seq = '\x1d';
+        else if(c === '^' || c === '6')
+          seq = '\x1e';
+        else if(c === '_' || c === '-' || c === '7')
+          seq = '\x1f';
+        else if(c === '?' || c === '8')
+          seq = '\x7f';
+      }
+      escapable = true;
+    }
+
+    if(seq === null)
+      return false;
+
+    /* Alt and Meta either prefix the sequence with ESC or set the 8th bit */
+    if(escapable && (evt.alt || evt.meta)) {
+      if((evt.alt && IS_SET(my.mode, TERM_MODE.ALTESC)) ||
+         (evt.meta && IS_SET(my.mode, TERM_MODE.METAESC))) {
+        seq = '\x1b' + seq;
+      }
+      else if(seq.length === 1 && seq.charCodeAt(0) < 0x80) {
+        seq = String.fromCharCode(seq.charCodeAt(0) | 0x80);
+      }
+    }
+
+    my.pty.write(seq);
+    return true;
+  };
+
+  //
+  // ### palette
+  // Returns a copy of the current color palette: `colors` (256 `[r, g, b]` 
+  // entries), and the default `foreground`, `background` and `cursor` colors
+  //
+  palette = function() {
+    return {
+      colors: my.palette.colors.map(function(c) { return c.slice(); }),
+      foreground: my.palette.foreground.slice(),
+      background: my.palette.background.slice(),
+      cursor: my.palette.cursor.slice()
+    };
+  };
+
+  //
+  // ### link_at
+  // ```
+  // @x {number} column of the cell
+  // @y {number} row of the cell (visible screen referential)
+  // ```
+  // Returns the hyperlink `{ uri, id }` attached to the given cell or null
+  //
+  link_at = function(x, y) {
+    var line = my.buffer[my.base + y];
+    if(!line || !line[x] || !line[x][2] || !line[x][2].link)
+      return null;
+    var link = line[x][2].link;
+    return { uri: link.uri, id: link.id };
+  };
+
+  //
+  // ### commands
+  // Returns the list of shell commands of the main screen, derived from the
+  // OSC 133 marks recorded on its buffer lines (as `line.marks`). Each 
+  // command is an object `{ prompt, input, output, end, exit_code }` where
+  // `prompt`, `input`, `output` and `end` are the `{ x, y }` positions at 
+  // which each zone starts (or null if not reached yet), in `buffer` line
+  // number referential. The list is rebuilt on each call, the commands 
+  // emitted with `command_start` and `command_finish` hold the positions
+  // at which their marks were received.
+  //
+  commands = function() {
+    var buffer = IS_SET(my.mode, TERM_MODE.ALTSCREEN) && my.saved_screen ?
+      my.saved_screen.buffer : my.buffer;
+    var list = [];
+    var command = null;
+    buffer.forEach(function(line, y) {
+      (line.marks || []).forEach(function(m) {
+        var pos = { x: m.x, y: y };
+        if(m.mark === 'A') {
+          command = {
+            prompt: pos,
+            input: null,
+            output: null,
+            end: null,
+            exit_code: null
+          };
+          list.push(command);
+        }
+        else if(command && !command.end) {
+          if(m.mark === 'B') {
+            command.input = pos;
+          }
+          else if(m.mark === 'C') {
+            command.output = pos;
+          }
+          else if(m.mark === 'D') {
+            command.end = pos;
+            command.exit_code = m.exit_code;
+          }
+        }
+      });
+    });
+    return list;
+  };
+
+  //
+  // ### images
+  // Returns the list of image placements retained by the terminal, oldest
+  // first, including the ones scrolled up into the scrollback. Each 
+  // placement is an object `{ image, x, y, cols, rows }` where `image` is 
+  // the decoded RGBA image `{ width, height, data }`, `x`, `y` the cell at
+  // which the image is anchored (in `buffer` line number referential, so 
+  // that images scroll with the buffer) and `cols`, `rows` the number of 
+  // cells covered. Placements are dropped when their anchor is erased or 
+  // scrolled out of the buffer, and only the last `max_images` ones are 
+  // kept.
+  //
+  images = function() {
+    var list = [];
+    var found = 0;
+    var locate = function(line, y) {
+      (line.images || []).forEach(function(anchor) {
+        list[my.images.indexOf(anchor)] = placement(anchor, y);
+        found++;
+      });
+    };
+    /* Anchors being recent, lines are scanned from the bottom of the    */
+    /* buffer until all of them are located                              */
+    for(var y = my.buffer.length - 1; 
+        y >= 0 && found < my.images.length; y --) {
+      locate(my.buffer[y], y);
+    }
+    return list;
+  };
+
   //
   // ### initialize
   // Creates a `vt` instance and registers handlers and perform an initial
@@ -609,11 +1684,12 @@ var term = function(spec, my) {
     /*                            DATA TRANSFER                               */
     /**************************************************************************/
     my.pty.on('data', function(buf) {
+      var error = null;
       try {
         my.vt.read(buf);
       }
       catch(err) {
-        factory.log().error(err);
+        error = err;
       }
       if(my.dirty.length > 0) {
         that.emit('refresh', my.dirty,
@@ -621,6 +1697,13 @@ var term = function(spec, my) {
                   cursor());
         my.dirty = [];
       }
+      if(error) {
+        /* Unknown sequences are errors under the `strict` policy */
+        if(my.unknown === 'strict' && that.listeners('error').length > 0)
+          that.emit('error', error);
+        else
+          factory.log().error(error);
+      }
     });
     my.vt.on('print', function(str) {
       /* Supposed to be of length 1 */
@@ -650,16 +1733,22 @@ var term = function(spec, my) {
       clear_region();
       move_to(0, 0);
     });
-    my.vt.on('clear', function() {
+    my.vt.on('clear', function(selective) {
       factory.log().debug('vt#clear');
-      clear_region();
+      clear_region(0, 0, my.geometry[0], my.geometry[1], 
+                   undefined, guarded(selective));
     });
 
     my.vt.on('reset', function() {
       reset();
+      my.saved_modes = {};
+      my.cursor_shape = 'block';
+      my.cursor_blink = true;
+      check_cursor();
     });
     my.vt.on('soft_reset', function() {
       soft_reset();
+      check_cursor();
     });
 
     my.vt.on('resize', function(cols, rows) {
@@ -669,6 +1758,27 @@ var term = function(spec, my) {
     my.vt.on('fill', function(char_value) {
       clear_region(0, 0, my.geometry[0], my.geometry[1], char_value);
     });
+    my.vt.on('set_line_attribute', function(size) {
+      var line = my.buffer[my.base + my.cursor.y];
+      var attr = {
+        single_width: LINE_ATTRS.SINGLE,
+        double_width: LINE_ATTRS.DOUBLE_WIDTH,
+        double_height_top: LINE_ATTRS.DOUBLE_TOP,
+        double_height_bottom: LINE_ATTRS.DOUBLE_BOTTOM
+      }[size];
+      if(attr === LINE_ATTRS.SINGLE) {
+        delete line.attr;
+      }
+      else {
+        line.attr = attr;
+        /* Characters on the right half of the line are lost */
+        for(var i = my.geometry[0] >> 1; i < my.geometry[0]; i ++) {
+          line[i] = glyph(' ', line[i][0]);
+        }
+      }
+      move_to(my.cursor.x, my.cursor.y, true);
+      dirty(my.base + my.cursor.y);
+    });
 
     /**************************************************************************/
     /*                           CURSOR MOVEMENT                              */
@@ -679,22 +1789,22 @@ var term = function(spec, my) {
     my.vt.on('cursor_left', function(n) {
       factory.log().debug('vt#cursor_left ' + n);
       n = (typeof n !== 'undefined' ) ? n : 1;
-      move_to(my.cursor.x - n, my.cursor.y);
+      move_to(my.cursor.x - n, my.cursor.y, true);
     });
     my.vt.on('cursor_down', function(n) {
       factory.log().debug('vt#cursor_down ' + n);
       n = (typeof n !== 'undefined' ) ? n : 1;
-      move_to(my.cursor.x, my.cursor.y + n);
+      move_to(my.cursor.x, my.cursor.y + n, true);
     });
     my.vt.on('cursor_up', function(n) {
       factory.log().debug('vt#cursor_up ' + n);
       n = (typeof n !== 'undefined' ) ? n : 1;
-      move_to(my.cursor.x, my.cursor.y - n);
+      move_to(my.cursor.x, my.cursor.y - n, true);
     });
     my.vt.on('cursor_right', function(n) {
       factory.log().debug('vt#cursor_right ' + n);
       n = (typeof n !== 'undefined' ) ? n : 1;
-      move_to(my.cursor.x + n, my.cursor.y);
+      move_to(my.cursor.x + n, my.cursor.y, true);
     });
     my.vt.on('set_cursor_column', function(x) {
       factory.log().debug('vt#set_cursor_column ' + x);
@@ -729,7 +1839,7 @@ var term = function(spec, my) {
       if(my.cursor.y === my.scroll.top)
         scroll(-1);
       else
-        move_to(my.cursor.x, my.cursor.y - 1);
+        move_to(my.cursor.x, my.cursor.y - 1, true);
     });
     my.vt.on('form_feed', function() {
       factory.log().debug('vt#form_feed');
@@ -778,48 +1888,159 @@ var term = function(spec, my) {
     /**************************************************************************/
     /*                              DELETION                                  */
     /**************************************************************************/
-    my.vt.on('erase_below', function() {
-      clear_region(my.cursor.x, my.cursor.y, my.geometry[0] - my.cursor.x, 1);
+    my.vt.on('erase_below', function(selective) {
+      var keep = guarded(selective);
+      clear_region(my.cursor.x, my.cursor.y, my.geometry[0] - my.cursor.x, 1,
+                   undefined, keep);
       if(my.cursor.y + 1 >= my.geometry[1]) return;
       clear_region(0, my.cursor.y + 1, 
-                   my.geometry[0], my.geometry[1] - (my.cursor.y + 1));
+                   my.geometry[0], my.geometry[1] - (my.cursor.y + 1),
+                   undefined, keep);
     });
-    my.vt.on('erase_above', function() {
-      clear_region(0, my.cursor.y, my.cursor.x, 1);
+    my.vt.on('erase_above', function(selective) {
+      var keep = guarded(selective);
+      clear_region(0, my.cursor.y, my.cursor.x, 1, undefined, keep);
       if(my.cursor.y - 1 <= 0) return;
-      clear_region(0, 0, my.geometry[0], my.cursor.y - 1);
+      clear_region(0, 0, my.geometry[0], my.cursor.y - 1, undefined, keep);
     });
-    my.vt.on('erase_right', function(n) {
-      n = (typeof n !== 'undefined') 
+    my.vt.on('erase_right', function(n, selective) {
+      n = (typeof n !== 'undefined' && n !== null) 
                    ? n : my.geometry[0] - my.cursor.x;
-      clear_region(my.cursor.x, my.cursor.y, n, 1);
+      clear_region(my.cursor.x, my.cursor.y, n, 1, 
+                   undefined, guarded(selective));
     });
-    my.vt.on('erase_left', function() {
-      clear_region(0, my.cursor.y, my.cursor.x, 1);
+    my.vt.on('erase_left', function(selective) {
+      clear_region(0, my.cursor.y, my.cursor.x, 1, 
+                   undefined, guarded(selective));
     });
-    my.vt.on('erase_line', function() {
-      clear_region(0, my.cursor.y, my.geometry[0], 1);
+    my.vt.on('erase_line', function(selective) {
+      clear_region(0, my.cursor.y, my.geometry[0], 1, 
+                   undefined, guarded(selective));
     });
     my.vt.on('delete_lines', function(n) {
       n = (typeof n !== 'undefined') ? n : 1;
       if(my.cursor.y < my.scroll.top || my.cursor.y > my.scroll.bottom)
         return;
-      scroll(n);
+      if(!in_margins())
+        return;
+      if(my.scroll.left > 0 || my.scroll.right < my.geometry[0] - 1)
+        scroll_margins(my.cursor.y, n);
+      else
+        scroll(n);
     });
     my.vt.on('insert_lines', function(n) {
       n = (typeof n !== 'undefined') ? n : 1;
       if(my.cursor.y < my.scroll.top || my.cursor.y > my.scroll.bottom)
         return;
-      scroll(-n);
+      if(!in_margins())
+        return;
+      if(my.scroll.left > 0 || my.scroll.right < my.geometry[0] - 1)
+        scroll_margins(my.cursor.y, -n);
+      else
+        scroll(-n);
     });
     my.vt.on('delete_chars', function(n) {
       n = (typeof n !== 'undefined') ? n : 1;
       delete_chars(n);
     });
-    my.vt.on('insert_chars', function() {
+    my.vt.on('insert_chars', function(n) {
       n = (typeof n !== 'undefined') ? n : 1;
       insert_chars(n);
     });
+    my.vt.on('delete_columns', function(n) {
+      if(my.cursor.y < my.scroll.top || my.cursor.y > my.scroll.bottom)
+        return;
+      var y = my.cursor.y;
+      for(var j = my.scroll.top; j <= my.scroll.bottom; j ++) {
+        my.cursor.y = j;
+        delete_chars(n);
+      }
+      my.cursor.y = y;
+    });
+    my.vt.on('insert_columns', function(n) {
+      if(my.cursor.y < my.scroll.top || my.cursor.y > my.scroll.bottom)
+        return;
+      var y = my.cursor.y;
+      for(var j = my.scroll.top; j <= my.scroll.bottom; j ++) {
+        my.cursor.y = j;
+        insert_chars(n);
+      }
+      my.cursor.y = y;
+    });
+
+    /**************************************************************************/
+    /*                          RECTANGULAR AREAS                             */
+    /**************************************************************************/
+    my.vt.on('copy_rectangle', function(rect, top, left) {
+      var area = rect_area(rect);
+      var dest = rect_area({ top: top, left: left, bottom: null, right: null });
+      if(!area || !dest)
+        return;
+      /* The source is copied first as the areas may overlap */
+      var lines = [];
+      for(var y = area.top; y <= area.bottom; y ++) {
+        lines.push(my.buffer[my.base + y].slice(area.left, area.right + 1));
+      }
+      for(var j = 0; j < lines.length && dest.top + j <= dest.bottom; j ++) {
+        var line = my.buffer[my.base + dest.top + j];
+        for(var i = 0; i < lines[j].length && dest.left + i <= dest.right; 
+            i ++) {
+          line[dest.left + i] = lines[j][i];
+        }
+        dirty(my.base + dest.top + j);
+      }
+    });
+    my.vt.on('fill_rectangle', function(c, rect) {
+      var area = rect_area(rect);
+      if(!area)
+        return;
+      rect_each(area, false, function(line, x) {
+        line[x] = glyph(c);
+      });
+    });
+    my.vt.on('erase_rectangle', function(rect, selective) {
+      var area = rect_area(rect);
+      if(!area)
+        return;
+      var keep = guarded(selective);
+      rect_each(area, false, function(line, x) {
+        if(keep && IS_SET(line[x][0], CHAR_ATTRS.PROTECTED << 18))
+          return;
+        line[x] = glyph();
+      });
+    });
+    my.vt.on('change_rectangle_attributes', function(rect, attrs) {
+      var area = rect_area(rect);
+      if(area)
+        rect_attrs(area, attrs, false);
+    });
+    my.vt.on('reverse_rectangle_attributes', function(rect, attrs) {
+      var area = rect_area(rect);
+      if(area)
+        rect_attrs(area, attrs, true);
+    });
+    my.vt.on('set_attribute_change_extent', function(rectangle) {
+      my.rect_extent = rectangle;
+    });
+    my.vt.on('request_rectangle_checksum', function(id, rect) {
+      /* Checksum as computed by xterm: the negated sum of the characters and */
+      /* their video attributes                                              */
+      var total = 0;
+      var area = rect_area(rect);
+      if(area) {
+        rect_each(area, false, function(line, x) {
+          var attr = line[x][0] >> 18;
+          total += line[x][1].charCodeAt(0) || 0x20;
+          if(attr & CHAR_ATTRS.PROTECTED) total += 0x04;
+          if(attr & CHAR_ATTRS.UNDERLINE) total += 0x10;
+          if(attr & CHAR_ATTRS.REVERSE) total += 0x20;
+          if(attr & CHAR_ATTRS.BLINK) total += 0x40;
+          if(attr & CHAR_ATTRS.BOLD) total += 0x80;
+        });
+      }
+      var hex = ('0000' + ((-total) & 0xffff).toString(16).toUpperCase());
+      my.pty.write('\x1bP' + id + '!~' + hex.substr(-4) + '\x1b\\');
+    });
 
     /**************************************************************************/
     /*                             ANSI MODES                                 */
@@ -839,10 +2060,8 @@ var term = function(spec, my) {
     my.vt.on('set_application_cursor', function(val) {
       if(val) my.mode = SET(my.mode, TERM_MODE.APPCURSOR);
       else my.mode = UNSET(my.mode, TERM_MODE.APPCURSOR);
-      /* TODO: handle */
     });
     my.vt.on('set_scroll_region', function(top, bottom) {
-      factory.log().out('{set_scroll_region} ' + top + ' - ' + bottom);
       if(top) my.scroll.top = common.clamp(top, 0, my.geometry[1] - 1);
       if(bottom) my.scroll.bottom = common.clamp(bottom, 0, my.geometry[1] - 1);
     });
@@ -855,6 +2074,22 @@ var term = function(spec, my) {
         /* TODO: handle */
       }
     });
+    my.vt.on('set_left_right_margin_mode', function(val) {
+      /* The mode state is kept by `vt` (see `vt.dec_mode`). Margins are */
+      /* reset when the mode changes                                     */
+      my.scroll.left = 0;
+      my.scroll.right = my.geometry[0] - 1;
+    });
+    my.vt.on('set_left_right_margins', function(left, right) {
+      left = (left !== null) ? left : 0;
+      right = (right !== null) ? right : my.geometry[0] - 1;
+      left = common.clamp(left, 0, my.geometry[0] - 1);
+      right = common.clamp(right, 0, my.geometry[0] - 1);
+      if(left >= right)
+        return;
+      my.scroll.left = left;
+      my.scroll.right = right;
+    });
     my.vt.on('set_origin_mode', function(val) {
       if(val) my.cursor.state = SET(my.cursor.state, CURSOR_STATE.ORIGIN);
       else my.cursor.state = UNSET(my.cursor.state, CURSOR_STATE.ORIGIN);
@@ -864,18 +2099,25 @@ var term = function(spec, my) {
       else my.mode = UNSET(my.mode, TERM_MODE.WRAP);
     });
     my.vt.on('set_cursor_blink', function(val) {
-      /* TODO: ignore for now */
+      my.cursor_blink = val ? true : false;
+      check_cursor();
     });
     my.vt.on('set_cursor_visible', function(val) {
       if(val) my.mode = UNSET(my.mode, TERM_MODE.HIDE);
       else my.mode = SET(my.mode, TERM_MODE.HIDE);
-        /* TODO: handle */
+      check_cursor();
+    });
+    my.vt.on('set_cursor_style', function(shape, blink) {
+      my.cursor_shape = shape;
+      my.cursor_blink = blink;
+      check_cursor();
     });
     my.vt.on('set_reverse_wrap_around', function() {
       /* TODO: ignore for now */
     });
-    my.vt.on('set_keyboard_backspace_sends_backspace', function() {
-      /* TODO: ignore for now */
+    my.vt.on('set_keyboard_backspace_sends_backspace', function(val) {
+      if(val) my.mode = SET(my.mode, TERM_MODE.BKSPBS);
+      else my.mode = UNSET(my.mode, TERM_MODE.BKSPBS);
     });
     my.vt.on('set_scroll_on_output', function() {
       /* TODO: ignore for now */
@@ -883,11 +2125,13 @@ var term = function(spec, my) {
     my.vt.on('set_scroll_on_keystroke', function() {
       /* TODO: ignore for now */
     });
-    my.vt.on('set_keyboard_meta_sends_escape', function() {
-      /* TODO: ignore for now */
+    my.vt.on('set_keyboard_meta_sends_escape', function(val) {
+      if(val) my.mode = SET(my.mode, TERM_MODE.METAESC);
+      else my.mode = UNSET(my.mode, TERM_MODE.METAESC);
     });
-    my.vt.on('set_keyboard_alt_sends_escape', function() {
-      /* TODO: ignore for now */
+    my.vt.on('set_keyboard_alt_sends_escape', function(val) {
+      if(val) my.mode = SET(my.mode, TERM_MODE.ALTESC);
+      else my.mode = UNSET(my.mode, TERM_MODE.ALTESC);
     });
     my.vt.on('set_alternate_mode', function(alt) {
       if(alt) {
@@ -897,7 +2141,9 @@ var term = function(spec, my) {
           base: my.base,
           cursor: my.cursor,
           scroll: my.scroll,
-          tabs: my.tabs
+          tabs: my.tabs,
+          images: my.images,
+          command: my.command
         }
         /* We first clear the buffer so that an empty buffer is transmitted   */
         /* with the `alternate` event (to be filled right after with the call */
@@ -905,16 +2151,21 @@ var term = function(spec, my) {
         my.buffer = []; 
         that.emit('alternate', true);
         reset();
+        my.mode = UNSET(my.mode, GLOBAL_MODES) | 
+                  (my.saved_screen.mode & GLOBAL_MODES);
         my.mode = SET(my.mode, TERM_MODE.ALTSCREEN);
       }
       else {
         if(my.saved_screen) {
-          my.mode = my.saved_screen.mode;
+          my.mode = UNSET(my.saved_screen.mode, GLOBAL_MODES) |
+                    (my.mode & GLOBAL_MODES);
           my.cursor = my.saved_screen.cursor;
           my.scroll = my.saved_screen.scroll;
           my.tabs = my.saved_screen.tabs;
           my.base = my.saved_screen.base;
           my.buffer = my.saved_screen.buffer;
+          my.images = my.saved_screen.images;
+          my.command = my.saved_screen.command;
         }
         my.mode = UNSET(my.mode, TERM_MODE.ALTSCREEN);
         that.emit('alternate', false);
@@ -922,21 +2173,308 @@ var term = function(spec, my) {
       }
     });
 
+    my.vt.on('set_mouse_tracking', function(protocol, val) {
+      /* Tracking protocols are mutually exclusive */
+      my.mode = UNSET(my.mode, TERM_MODE.MOUSE);
+      if(val) my.mode = SET(my.mode, MOUSE_TRACKING[protocol]);
+    });
+    my.vt.on('set_mouse_encoding', function(encoding, val) {
+      /* Encodings are mutually exclusive */
+      my.mode = UNSET(my.mode, TERM_MODE.MOUSEENC);
+      if(val) my.mode = SET(my.mode, MOUSE_ENCODING[encoding]);
+    });
+    my.vt.on('set_alternate_scroll', function(val) {
+      if(val) my.mode = SET(my.mode, TERM_MODE.ALTSCROLL);
+      else my.mode = UNSET(my.mode, TERM_MODE.ALTSCROLL);
+    });
+
+    my.vt.on('set_focus_reporting', function(val) {
+      if(val) my.mode = SET(my.mode, TERM_MODE.FOCUS);
+      else my.mode = UNSET(my.mode, TERM_MODE.FOCUS);
+    });
+    my.vt.on('set_bracketed_paste', function(val) {
+      if(val) my.mode = SET(my.mode, TERM_MODE.BRACKETPASTE);
+      else my.mode = UNSET(my.mode, TERM_MODE.BRACKETPASTE);
+    });
+
+    my.vt.on('set_vt52_mode', function(val) {
+      if(val) my.mode = SET(my.mode, TERM_MODE.VT52);
+      else my.mode = UNSET(my.mode, TERM_MODE.VT52);
+    });
+
     my.vt.on('set_application_keypad', function(val) {
       if(val) my.mode = SET(my.mode, TERM_MODE.APPKEYPAD);
       else my.mode = UNSET(my.mode, TERM_MODE.APPKEYPAD);
-      /* TODO: handle */
     });
+    my.vt.on('set_color', function(idx, rgb) {
+      my.palette.colors[idx] = rgb.slice();
+      that.emit('palette', palette());
+    });
+    my.vt.on('reset_color', function(idx) {
+      if(typeof idx === 'number') {
+        my.palette.colors[idx] = DEFAULT_COLORS[idx].slice();
+      }
+      else {
+        my.palette.colors = DEFAULT_COLORS.map(function(c) { 
+          return c.slice(); 
+        });
+      }
+      that.emit('palette', palette());
+    });
+    my.vt.on('query_color', function(idx, st) {
+      my.pty.write('\x1b]4;' + idx + ';' + 
+                   color_spec(my.palette.colors[idx]) + (st || '\x07'));
+    });
+    my.vt.on('set_dynamic_color', function(which, rgb) {
+      my.palette[which] = rgb.slice();
+      that.emit('palette', palette());
+    });
+    my.vt.on('reset_dynamic_color', function(which) {
+      my.palette[which] = DYNAMIC_COLORS[which].rgb.slice();
+      that.emit('palette', palette());
+    });
+    my.vt.on('query_dynamic_color', function(which, st) {
+      my.pty.write('\x1b]' + DYNAMIC_COLORS[which].code + ';' +
+                   color_spec(my.palette[which]) + (st || '\x07'));
+    });
+
+    my.vt.on('set_hyperlink', function(uri, id) {
+      if(!uri) {
+        set_ext('link', null);
+        return;
+      }
+      var k = (id || '') + ';' + uri;
+      if(!my.links.hasOwnProperty(k)) {
+        if(my.links_count >= my.max_links) {
+          my.links = {};
+          my.links_count = 0;
+        }
+        my.links[k] = { uri: uri, id: id || null };
+        my.links_count++;
+      }
+      set_ext('link', my.links[k]);
+    });
+
+    my.vt.on('save_dec_modes', function(codes) {
+      codes.forEach(function(code) {
+        /* Modes with a fixed value are not saved */
+        if(!DEC_MODES[code] || DEC_MODES[code].value)
+          return;
+        var state = mode_state(code, true);
+        if(state === 1 || state === 2)
+          my.saved_modes[code] = (state === 1);
+      });
+    });
+    my.vt.on('restore_dec_modes', function(codes, restore) {
+      /* Modes are reset first as resetting a mouse tracking mode disables */
+      /* all of them                                                       */
+      [false, true].forEach(function(state) {
+        codes.forEach(function(code) {
+          if(my.saved_modes[code] === state)
+            restore(code, state);
+        });
+      });
+    });
+    my.vt.on('sequence', function() {
+      /* Events emitted by custom sequence handlers (see `vt.register`) */
+      var args = Array.prototype.slice.call(arguments);
+      that.emit.apply(that, ['sequence'].concat(args));
+    });
+
+    my.vt.on('request_mode', function(code, dec) {
+      my.pty.write('\x1b[' + (dec ? '?' : '') + code + ';' + 
+                   mode_state(code, dec) + '$y');
+    });
+    my.vt.on('request_status', function(setting, st) {
+      var value = null;
+      if(setting === 'm') {
+        value = sgr_params() + 'm';
+      }
+      else if(setting === 'r') {
+        value = (my.scroll.top + 1) + ';' + (my.scroll.bottom + 1) + 'r';
+      }
+      else if(setting === 's') {
+        value = (my.scroll.left + 1) + ';' + (my.scroll.right + 1) + 's';
+      }
+      else if(setting === ' q') {
+        var ps = { block: 2, underline: 4, bar: 6 }[my.cursor_shape];
+        value = (my.cursor_blink ? ps - 1 : ps) + ' q';
+      }
+      else if(setting === '"p') {
+        /* Fixed reply: DECSCL is ignored, DA reports a VT100 and only */
+        /* 7-bit controls are sent, so the level is always VT100 7-bit */
+        value = '61;1"p';
+      }
+      else if(setting === '"q') {
+        value = (IS_SET(my.cursor.attr, CHAR_ATTRS.PROTECTED << 18) && 
+                 my.protection === 'dec' ? 1 : 0) + '"q';
+      }
+      if(value === null)
+        my.pty.write('\x1bP0$r' + st);
+      else
+        my.pty.write('\x1bP1$r' + value + st);
+    });
+
+    my.vt.on('image', function(image) {
+      var line = my.buffer[my.base + my.cursor.y];
+      var anchor = {
+        image: image,
+        line: line,
+        x: my.cursor.x,
+        cols: Math.ceil(image.width / my.cell_width),
+        rows: Math.ceil(image.height / my.cell_height)
+      };
+      /* Images are anchored to their line so that they follow it. An image */
+      /* placed at the same position replaces the previous one             */
+      drop_images(line, anchor.x, anchor.x + 1);
+      line.images = (line.images || []).concat([anchor]);
+      my.images.push(anchor);
+      if(my.images.length > my.max_images) {
+        var oldest = my.images[0];
+        drop_images(oldest.line, oldest.x, oldest.x + 1);
+      }
+      var placed = placement(anchor, my.base + my.cursor.y);
+      /* The cursor is moved below the image, scrolling if needed */
+      for(var i = 0; i < anchor.rows; i ++) {
+        dirty(my.base + my.cursor.y);
+        new_line();
+      }
+      that.emit('image', placed);
+    });
+
+    my.vt.on('set_cwd', function(path) {
+      my.cwd = path;
+      that.emit('cwd', my.cwd);
+    });
+    my.vt.on('shell_mark', function(mark, exit_code) {
+      /* Commands are only recorded on the main screen */
+      if(IS_SET(my.mode, TERM_MODE.ALTSCREEN))
+        return;
+      var pos = { x: my.cursor.x, y: my.base + my.cursor.y };
+      var command = my.command;
+      if(mark !== 'A' && (!command || command.end))
+        return;
+
+      /* Marks are recorded on the line so that they follow it. A mark */
+      /* repeated at the same position (prompt redraw) replaces the    */
+      /* previous one                                                  */
+      var line = my.buffer[pos.y];
+      line.marks = (line.marks || []).filter(function(m) {
+        return m.mark !== mark || m.x !== pos.x;
+      });
+      line.marks.push({ mark: mark, x: pos.x, exit_code: exit_code });
+
+      /* The current command is tracked incrementally, `commands` rebuilds */
+      /* the whole list from the buffer                                   */
+      if(mark === 'A') {
+        my.command = {
+          prompt: pos,
+          input: null,
+          output: null,
+          end: null,
+          exit_code: null
+        };
+      }
+      else if(mark === 'B') {
+        command.input = pos;
+      }
+      else if(mark === 'C') {
+        command.output = pos;
+        that.emit('command_start', command);
+      }
+      else if(mark === 'D') {
+        command.end = pos;
+        command.exit_code = exit_code;
+        that.emit('command_finish', command);
+      }
+    });
+
     my.vt.on('set_window_title', function(title) {
       my.title = title;
       that.emit('title', my.title);
     });
+    my.vt.on('set_icon_name', function(icon_name) {
+      my.icon_name = icon_name;
+      that.emit('icon', my.icon_name);
+    });
+    my.vt.on('push_title', function(which) {
+      /* 0: both, 1: icon name only, 2: window title only */
+      my.title_stack.push({
+        title: (which !== 1) ? my.title : undefined,
+        icon_name: (which !== 2) ? my.icon_name : undefined
+      });
+      /* Same limit as xterm */
+      if(my.title_stack.length > 10)
+        my.title_stack.shift();
+    });
+    my.vt.on('pop_title', function(which) {
+      var entry = my.title_stack.pop();
+      if(!entry)
+        return;
+      if(which !== 1 && typeof entry.title !== 'undefined') {
+        my.title = entry.title;
+        that.emit('title', my.title);
+      }
+      if(which !== 2 && typeof entry.icon_name !== 'undefined') {
+        my.icon_name = entry.icon_name;
+        that.emit('icon', my.icon_name);
+      }
+    });
+
+    my.vt.on('resize_request', function(cols, rows) {
+      /* A value of 0 keeps the current dimension */
+      cols = cols || my.geometry[0];
+      rows = rows || my.geometry[1];
+      that.emit('resize_request', cols, rows, function() {
+        resize(cols, rows);
+      });
+    });
+    my.vt.on('resize_request_pixels', function(width, height) {
+      var cols = Math.floor(width / my.cell_width) || my.geometry[0];
+      var rows = Math.floor(height / my.cell_height) || my.geometry[1];
+      that.emit('resize_request', cols, rows, function() {
+        resize(cols, rows);
+      });
+    });
+    my.vt.on('report_window', function(ps) {
+      var cols = my.geometry[0];
+      var rows = my.geometry[1];
+      switch(ps) {
+        case 14: {
+          my.pty.write('\x1b[4;' + (rows * my.cell_height) + ';' + 
+                       (cols * my.cell_width) + 't');
+          break;
+        }
+        case 16: {
+          my.pty.write('\x1b[6;' + my.cell_height + ';' + 
+                       my.cell_width + 't');
+          break;
+        }
+        case 18: {
+          my.pty.write('\x1b[8;' + rows + ';' + cols + 't');
+          break;
+        }
+        case 19: {
+          my.pty.write('\x1b[9;' + rows + ';' + cols + 't');
+          break;
+        }
+      }
+    });
 
     /**************************************************************************/
     /*                          CHARACTER ATTRS                               */
     /**************************************************************************/
     my.vt.on('char_attr_reset', function() {
-      my.cursor.attr = 256 | (257 << 9) | (CHAR_ATTRS.NULL << 18);
+      /* The protection attribute is not a graphic rendition */
+      var protect = my.cursor.attr & (CHAR_ATTRS.PROTECTED << 18);
+      my.cursor.attr = 256 | (257 << 9) | (CHAR_ATTRS.NULL << 18) | protect;
+      my.cursor.ext = null;
+    });
+    my.vt.on('set_protection', function(val, type) {
+      if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.PROTECTED << 18);
+      else my.cursor.attr = UNSET(my.cursor.attr, CHAR_ATTRS.PROTECTED << 18);
+      /* The last protection type used defines the erase semantics */
+      my.protection = type;
     });
     my.vt.on('char_attr_set_bold', function(val) {
       if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.BOLD << 18);
@@ -946,9 +2484,28 @@ var term = function(spec, my) {
       if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.ITALIC << 18);
       else my.cursor.attr = UNSET(my.cursor.attr, CHAR_ATTRS.ITALIC << 18);
     });
-    my.vt.on('char_attr_set_underline', function(val) {
+    my.vt.on('char_attr_set_underline', function(val, style) {
       if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.UNDERLINE << 18);
       else my.cursor.attr = UNSET(my.cursor.attr, CHAR_ATTRS.UNDERLINE << 18);
+      set_ext('underline', (val && style !== 'single') ? style : null);
+    });
+    my.vt.on('char_attr_set_underline_color_index', function(idx) {
+      set_ext('ul_color', idx);
+    });
+    my.vt.on('char_attr_set_underline_color_rgb', function(r, g, b) {
+      set_ext('ul_color', [r, g, b]);
+    });
+    my.vt.on('char_attr_set_faint', function(val) {
+      if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.FAINT << 18);
+      else my.cursor.attr = UNSET(my.cursor.attr, CHAR_ATTRS.FAINT << 18);
+    });
+    my.vt.on('char_attr_set_strikethrough', function(val) {
+      if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.STRIKE << 18);
+      else my.cursor.attr = UNSET(my.cursor.attr, CHAR_ATTRS.STRIKE << 18);
+    });
+    my.vt.on('char_attr_set_overline', function(val) {
+      if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.OVERLINE << 18);
+      else my.cursor.attr = UNSET(my.cursor.attr, CHAR_ATTRS.OVERLINE << 18);
     });
     my.vt.on('char_attr_set_blink', function(val) {
       if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.BLINK << 18);
@@ -959,32 +2516,48 @@ var term = function(spec, my) {
       else my.cursor.attr = UNSET(my.cursor.attr, CHAR_ATTRS.REVERSE << 18);
     });
     my.vt.on('char_attr_set_invisible', function(val) {
-      /* TODO: ignore for now */
+      if(val) my.cursor.attr = SET(my.cursor.attr, CHAR_ATTRS.INVISIBLE << 18);
+      else my.cursor.attr = UNSET(my.cursor.attr, CHAR_ATTRS.INVISIBLE << 18);
     });
 
     my.vt.on('char_attr_set_foreground_index', function(idx) {
-      if(idx) {
-        my.cursor.attr = UNSET(my.cursor.attr, 0x11f << 9);
+      set_ext('fg', null);
+      if(typeof idx === 'number') {
+        my.cursor.attr = UNSET(my.cursor.attr, 0x1ff << 9);
         my.cursor.attr = SET(my.cursor.attr, idx << 9)
       }
       else {
-        my.cursor.attr = UNSET(my.cursor.attr, 0x11f << 9);
+        my.cursor.attr = UNSET(my.cursor.attr, 0x1ff << 9);
         my.cursor.attr = SET(my.cursor.attr, 257 << 9);
       }
     });
     my.vt.on('char_attr_set_background_index', function(idx) {
-      if(idx) {
-        my.cursor.attr = UNSET(my.cursor.attr, 0x11f);
+      set_ext('bg', null);
+      if(typeof idx === 'number') {
+        my.cursor.attr = UNSET(my.cursor.attr, 0x1ff);
         my.cursor.attr = SET(my.cursor.attr, idx)
       }
       else {
-        my.cursor.attr = UNSET(my.cursor.attr, 0x11f);
+        my.cursor.attr = UNSET(my.cursor.attr, 0x1ff);
         my.cursor.attr = SET(my.cursor.attr, 256);
       }
     });
+    my.vt.on('char_attr_set_foreground_rgb', function(r, g, b) {
+      /* The index is set to default for renderers ignoring `ext` */
+      my.cursor.attr = UNSET(my.cursor.attr, 0x1ff << 9);
+      my.cursor.attr = SET(my.cursor.attr, 257 << 9);
+      set_ext('fg', [r, g, b]);
+    });
+    my.vt.on('char_attr_set_background_rgb', function(r, g, b) {
+      /* The index is set to default for renderers ignoring `ext` */
+      my.cursor.attr = UNSET(my.cursor.attr, 0x1ff);
+      my.cursor.attr = SET(my.cursor.attr, 256);
+      set_ext('bg', [r, g, b]);
+    });
 
     /* Finally reset (will resize to specified geometry) */
     reset();
+    check_cursor();
   };
 
   //
@@ -994,14 +2567,29 @@ var term = function(spec, my) {
 
   common.getter(that, 'buffer', my, 'buffer');
   common.getter(that, 'title', my, 'title');
+  common.getter(that, 'icon_name', my, 'icon_name');
   common.getter(that, 'mode', my, 'mode');
   common.getter(that, 'pty', my, 'pty');
+  common.getter(that, 'has_focus', my, 'focus');
+  common.getter(that, 'cwd', my, 'cwd');
+  common.getter(that, 'vt', my, 'vt');
 
   common.method(that, 'resize', resize, _super);
   common.method(that, 'cursor', cursor, _super);
+  common.method(that, 'mouse', mouse, _super);
+  common.method(that, 'mouse_mode', mouse_mode, _super);
+  common.method(that, 'paste', paste, _super);
+  common.method(that, 'focus', focus, _super);
+  common.method(that, 'key', key, _super);
+  common.method(that, 'palette', palette, _super);
+  common.method(that, 'link_at', link_at, _super);
+  common.method(that, 'commands', commands, _super);
+  common.method(that, 'images', images, _super);
 
   return that;
 };
 
 exports.term = term;
+exports.CHAR_ATTRS = CHAR_ATTRS;
+exports.LINE_ATTRS = LINE_ATTRS;
 
@@ -15,16 +15,189 @@
 var common = require('./common.js');
 var events = require('events');
 var util = require('util');
+var StringDecoder = require('string_decoder').StringDecoder;
 var factory = common.factory;
+var ANSI_MODES = require('./modes.js').ANSI_MODES;
+var DEC_MODES = require('./modes.js').DEC_MODES;
 
+//
+// ## UNDERLINE_STYLES
+// Underline styles selected by the `4:x` SGR sub-parameter (null means no
+// underline)
+//
+var UNDERLINE_STYLES = {
+  '0': null,
+  '1': 'single',
+  '2': 'double',
+  '3': 'curly',
+  '4': 'dotted',
+  '5': 'dashed'
+};
+
+//
+// ## TERMCAP
+// Terminfo/termcap capabilities reported through XTGETTCAP. Boolean 
+// capabilities are reported without value.
+//
+var TERMCAP = {
+  'TN': 'xterm-256color',
+  'name': 'xterm-256color',
+  'Co': '256',
+  'colors': '256',
+  'RGB': '8',
+  'Tc': true
+};
+
+//
+// ## STATES
+// States of the parser, after Paul Williams' DEC ANSI parser 
+// [http://vt100.net/emu/dec_ansi_parser]. `VT52_ADDRESS` reads the two 
+// characters following the VT52 `ESC Y` sequence.
+//
+var STATES = {
+  GROUND: 0,
+  ESCAPE: 1,
+  ESCAPE_INTERMEDIATE: 2,
+  CSI_ENTRY: 3,
+  CSI_PARAM: 4,
+  CSI_INTERMEDIATE: 5,
+  CSI_IGNORE: 6,
+  DCS_ENTRY: 7,
+  DCS_PARAM: 8,
+  DCS_INTERMEDIATE: 9,
+  DCS_PASSTHROUGH: 10,
+  DCS_IGNORE: 11,
+  OSC_STRING: 12,
+  SOS_PM_APC_STRING: 13,
+  VT52_ADDRESS: 14
+};
+
+//
+// ## ACTIONS
+// Actions performed by the parser on each character. The entry and exit
+// actions of the states (clear, hook, unhook, osc_start, osc_end) are 
+// performed by `vt` when the state changes.
+//
+var ACTIONS = {
+  IGNORE: 0,
+  PRINT: 1,
+  EXECUTE: 2,
+  COLLECT: 3,
+  PARAM: 4,
+  ESC_DISPATCH: 5,
+  CSI_DISPATCH: 6,
+  PUT: 7,
+  ADDRESS: 8
+};
+
+//
+// ## TRANSITIONS
+// Transition table indexed by `state << 8 | code`, each entry being 
+// `action << 4 | next_state`. Characters above 0xff are looked up as 0xff.
+// 8-bit C1 controls are not interpreted: in UTF-8 they are continuation
+// bytes and they are printed as is otherwise.
+//
+var TRANSITIONS = (function() {
+  var table = new Uint8Array(16 * 256);
+  var set = function(state, from, to, action, next) {
+    if(typeof next === 'undefined')
+      next = state;
+    for(var code = from; code <= to; code ++)
+      table[(state << 8) | code] = (action << 4) | next;
+  };
+  var execute = function(state) {
+    set(state, 0x00, 0x1f, ACTIONS.EXECUTE);
+  };
+
+  /* Characters are ignored unless specified otherwise */
+  Object.keys(STATES).forEach(function(name) {
+    set(STATES[name], 0x00, 0xff, ACTIONS.IGNORE);
+  });
+
+  set(STATES.GROUND, 0x00, 0x1f, ACTIONS.EXECUTE);
+  set(STATES.GROUND, 0x20, 0xff, ACTIONS.PRINT);
+  set(STATES.GROUND, 0x7f, 0x7f, ACTIONS.EXECUTE);
+
+  execute(STATES.ESCAPE);
+  set(STATES.ESCAPE, 0x20, 0x2f, ACTIONS.COLLECT, STATES.ESCAPE_INTERMEDIATE);
+  set(STATES.ESCAPE, 0x30, 0x7e, ACTIONS.ESC_DISPATCH, STATES.GROUND);
+  set(STATES.ESCAPE, 0x5b, 0x5b, ACTIONS.IGNORE, STATES.CSI_ENTRY);
+  set(STATES.ESCAPE, 0x5d, 0x5d, ACTIONS.IGNORE, STATES.OSC_STRING);
+  set(STATES.ESCAPE, 0x50, 0x50, ACTIONS.IGNORE, STATES.DCS_ENTRY);
+  set(STATES.ESCAPE, 0x58, 0x58, ACTIONS.IGNORE, STATES.SOS_PM_APC_STRING);
+  set(STATES.ESCAPE, 0x5e, 0x5f, ACTIONS.IGNORE, STATES.SOS_PM_APC_STRING);
+
+  execute(STATES.ESCAPE_INTERMEDIATE);
+  set(STATES.ESCAPE_INTERMEDIATE, 0x20, 0x2f, ACTIONS.COLLECT);
+  set(STATES.ESCAPE_INTERMEDIATE, 0x30, 0x7e, ACTIONS.ESC_DISPATCH, 
+      STATES.GROUND);
+
+  /* `:` is accepted as a sub-parameter delimiter (ITU T.416) */
+  execute(STATES.CSI_ENTRY);
+  set(STATES.CSI_ENTRY, 0x20, 0x2f, ACTIONS.COLLECT, STATES.CSI_INTERMEDIATE);
+  set(STATES.CSI_ENTRY, 0x30, 0x3b, ACTIONS.PARAM, STATES.CSI_PARAM);
+  set(STATES.CSI_ENTRY, 0x3c, 0x3f, ACTIONS.COLLECT, STATES.CSI_PARAM);
+  set(STATES.CSI_ENTRY, 0x40, 0x7e, ACTIONS.CSI_DISPATCH, STATES.GROUND);
+
+  execute(STATES.CSI_PARAM);
+  set(STATES.CSI_PARAM, 0x20, 0x2f, ACTIONS.COLLECT, STATES.CSI_INTERMEDIATE);
+  set(STATES.CSI_PARAM, 0x30, 0x3b, ACTIONS.PARAM);
+  set(STATES.CSI_PARAM, 0x3c, 0x3f, ACTIONS.IGNORE, STATES.CSI_IGNORE);
+  set(STATES.CSI_PARAM, 0x40, 0x7e, ACTIONS.CSI_DISPATCH, STATES.GROUND);
+
+  execute(STATES.CSI_INTERMEDIATE);
+  set(STATES.CSI_INTERMEDIATE, 0x20, 0x2f, ACTIONS.COLLECT);
+  set(STATES.CSI_INTERMEDIATE, 0x30, 0x3f, ACTIONS.IGNORE, STATES.CSI_IGNORE);
+  set(STATES.CSI_INTERMEDIATE, 0x40, 0x7e, ACTIONS.CSI_DISPATCH, 
+      STATES.GROUND);
+
+  execute(STATES.CSI_IGNORE);
+  set(STATES.CSI_IGNORE, 0x40, 0x7e, ACTIONS.IGNORE, STATES.GROUND);
+
+  set(STATES.DCS_ENTRY, 0x20, 0x2f, ACTIONS.COLLECT, STATES.DCS_INTERMEDIATE);
+  set(STATES.DCS_ENTRY, 0x30, 0x3b, ACTIONS.PARAM, STATES.DCS_PARAM);
+  set(STATES.DCS_ENTRY, 0x3c, 0x3f, ACTIONS.COLLECT, STATES.DCS_PARAM);
+  set(STATES.DCS_ENTRY, 0x40, 0x7e, ACTIONS.IGNORE, STATES.DCS_PASSTHROUGH);
+
+  set(STATES.DCS_PARAM, 0x20, 0x2f, ACTIONS.COLLECT, STATES.DCS_INTERMEDIATE);
+  set(STATES.DCS_PARAM, 0x30, 0x3b, ACTIONS.PARAM);
+  set(STATES.DCS_PARAM, 0x3c, 0x3f, ACTIONS.IGNORE, STATES.DCS_IGNORE);
+  set(STATES.DCS_PARAM, 0x40, 0x7e, ACTIONS.IGNORE, STATES.DCS_PASSTHROUGH);
+
+  set(STATES.DCS_INTERMEDIATE, 0x20, 0x2f, ACTIONS.COLLECT);
+  set(STATES.DCS_INTERMEDIATE, 0x30, 0x3f, ACTIONS.IGNORE, STATES.DCS_IGNORE);
+  set(STATES.DCS_INTERMEDIATE, 0x40, 0x7e, ACTIONS.IGNORE, 
+      STATES.DCS_PASSTHROUGH);
+
+  set(STATES.DCS_PASSTHROUGH, 0x00, 0xff, ACTIONS.PUT);
+  set(STATES.DCS_PASSTHROUGH, 0x7f, 0x7f, ACTIONS.IGNORE);
+
+  set(STATES.OSC_STRING, 0x20, 0xff, ACTIONS.PUT);
+
+  execute(STATES.VT52_ADDRESS);
+  set(STATES.VT52_ADDRESS, 0x20, 0xff, ACTIONS.ADDRESS);
+
+  Object.keys(STATES).forEach(function(name) {
+    var state = STATES[name];
+    /* Strings are also terminated by BEL (xterm) */
+    if(state >= STATES.DCS_ENTRY && state <= STATES.SOS_PM_APC_STRING)
+      set(state, 0x07, 0x07, ACTIONS.IGNORE, STATES.GROUND);
+    /* Transitions from anywhere: CAN, SUB and ESC */
+    set(state, 0x18, 0x18, ACTIONS.EXECUTE, STATES.GROUND);
+    set(state, 0x1a, 0x1a, ACTIONS.EXECUTE, STATES.GROUND);
+    set(state, 0x1b, 0x1b, ACTIONS.IGNORE, STATES.ESCAPE);
+  });
+
+  return table;
+})();
 
 //
 // ## state
 //
-// Helper class to represent the parser state
+// Helper class to represent the arguments of the sequence being parsed
 // ```
 // @inherits {}
-// @spec {object} { def_fun }
+// @spec {object} {}
 // ```
 // 
 var state = function(spec, my) {
@@ -34,25 +207,14 @@ var state = function(spec, my) {
   //
   // #### _private members_
   //
-  my.def_fun = spec.def_fun
-  my.buf = null;
-  my.pos = 0;
-  my.fun = my.def_fun;
   my.args = [];
 
   //
   // #### _public methods_
   //
-  var reset_fun;   /* reset_fun(); */
-  var reset_buf;   /* reset_buf([buf]); */
   var reset_args   /* reset_args(); */
-  var reset;       /* reset([buf]); */
+  var param;       /* param(code); */
   var int_arg;     /* int_arg(pos, [def_value]); */
-  var advance;     /* advance(count); */
-  var peek_buf;    /* peek_buf(); */
-  var peek;        /* peek(); */
-  var consume;     /* consume(); */
-  var is_complete; /* is_complete(); */
   
   //
   // #### _that_
@@ -60,26 +222,6 @@ var state = function(spec, my) {
   var that = {};
 
 
-  //
-  // ### reset_fun
-  // Resets the parser function only.
-  // 
-  reset_fun = function() {
-    my.fun = my.def_fun;
-  };
-
-  //
-  // ### reset_buf
-  // ```
-  // @buf {string} optional value for buffer (defaults to null)
-  // ```
-  // Resets the buffer and position only.
-  //
-  reset_buf = function(buf) {
-    my.buf = (typeof buf === 'string') ? buf : null;
-    my.pos = 0;
-  };
-
   //
   // ### reset_args
   // ```
@@ -95,16 +237,25 @@ var state = function(spec, my) {
   };
 
   //
-  // ### reset
+  // ### param
   // ```
-  // @buf {string} optional value for buffer
+  // @code {number} the parameter character code (`0-9`, `:` or `;`)
   // ```
-  // Reset the parser state
-  //
-  reset = function(buf) {
-    that.reset_fun();
-    that.reset_buf(buf);
-    that.reset_args();
+  // Accumulates a parameter character. An omitted first parameter is
+  // supplied as an empty string.
+  //
+  param = function(code) {
+    if(code === 0x3b) {
+      if(!my.args.length)
+        my.args.push('');
+      my.args.push('');
+    }
+    else if(!my.args.length) {
+      my.args[0] = String.fromCharCode(code);
+    }
+    else {
+      my.args[my.args.length - 1] += String.fromCharCode(code);
+    }
   };
 
   //
@@ -126,67 +277,11 @@ var state = function(spec, my) {
     return def;
   };
 
-  //
-  // ### advance
-  // ```
-  // @count {number} the number of bytes to advance
-  // ```
-  // Advances the parse position 
-  //
-  advance = function(count) {
-    my.pos += count;
-  };
-
-  //
-  // ### peek_buf
-  // Return the remaining portion of the buffer without affecting the state.
-  //
-  peek_buf = function() {
-    return my.buf.substr(my.pos);
-  };
-
-  //
-  // ### peek
-  // Return the next character of the buffer without affecting the state.
-  // 
-  peek = function() {
-    return my.buf.substr(my.pos, 1);
-  };
 
-  //
-  // ### consume_char
-  // Return the next character in the buffer and advance the parse
-  // position of one byte.
-  //
-  consume = function() {
-    return my.buf.substr(my.pos++, 1);
-  };
-
-  //
-  // ### is_complete
-  // Returns whether the buffer is empty or the position is past
-  // the end.
-  //
-  is_complete = function() {
-    return my.buf === null || my.buf.length <= my.pos;
-  };
-
-
-  common.method(that, 'reset_fun', reset_fun, _super);
-  common.method(that, 'reset_buf', reset_buf, _super);
   common.method(that, 'reset_args', reset_args, _super);
-  common.method(that, 'reset', reset, _super);
+  common.method(that, 'param', param, _super);
   common.method(that, 'int_arg',int_arg , _super);
-  common.method(that, 'advance', advance, _super);
-  common.method(that, 'peek_buf', peek_buf, _super);
-  common.method(that, 'peek', peek, _super);
-  common.method(that, 'consume', consume, _super);
-  common.method(that, 'is_complete', is_complete, _super);
-
-  common.getter(that, 'buf', my, 'buf');
-  common.getter(that, 'pos', my, 'pos');
-  common.getter(that, 'fun', my, 'fun');
-  common.setter(that, 'fun', my, 'fun');
+
   common.getter(that, 'args', my, 'args');
 
   return that;
@@ -225,50 +320,103 @@ var state = function(spec, my) {
 // @spec {object} { 
 //     allow_width_change,  [optional]
 //     osc_time_limit,      [optional]
-//     max_string_sequence, [optional]
-//     warn                 [optional]
+//     max_string_sequence, [optional] number or { OSC, DCS, SIXEL }
+//     max_image_size,      [optional] { width, height } in pixels
+//     encoding,            [optional]
+//     unknown,             [optional] policy for unknown sequences: 'silent',
+//                          'event', 'log' (default) or 'strict'
+//     warn                 [optional] false is equivalent to 'silent'
 //  }
 // ```
+//
+// `PM` and `APC` keys are still accepted in `max_string_sequence` but have
+// no effect: SOS, PM and APC strings are ignored without being accumulated.
 // 
 var vt = function(spec, my) {
   var _super = {};
   my = my || {};
 
-  //
-  // #### _protected methods_
-  // 
-  var parse_unknown;  /* parse_unknown(); */
-
   // 
   // #### _private methods_
   //
   var save_cursor;                   /* cursor_save(); */
   var restore_cursor;                /* cursor_reset(); */
-  var parse_unknown;                 /* parse_unknown(); */
-  var parse_csi;                     /* parse_csi(); */
-  var parse_until_string_terminator; /* parse_until_string_terminator */
+  var print;                         /* print(str); */
+  var clear;                         /* clear(); */
+  var transition;                    /* transition(next, code); */
+  var string_start;                  /* string_start(type); */
+  var string_put;                    /* string_put(str); */
+  var string_end;                    /* string_end(terminator); */
+  var string_abort;                  /* string_abort([reason]); */
   var dispatch;                      /* dispatch(); */
   var ignore;                        /* ignore(); */
   var set_ansi_mode;                 /* set_ansi_mode(code, state); */
   var set_dec_mode;                  /* set_dec_mode(code, state); */
+  var dec_mode_codes;                /* dec_mode_codes(); */
+  var unknown;                       /* unknown(type, code, args, raw, ...); */
+  var raw_sequence;                  /* raw_sequence(type, code); */
+  var parse_color;                   /* parse_color(spec); */
+  var dynamic_colors;                /* dynamic_colors(code); */
+  var rectangle;                     /* rectangle(pos); */
 
   //
   // #### _private members_
   //
-  my.state = null;
+  my.state = state({});
+  my.parse_state = STATES.GROUND;
   my.leading_modifier = '';
   my.trailing_modifier = '';
-  my.allow_width_change = spec.allow_width_change || true;
+  my.dcs = null;
   my.osc_time_limit = spec.osc_time_limit || 2000;
-  my.max_string_sequence = spec.max_string_sequence || 1024;
-  my.warn = spec.warn || true;
+  my.max_string_sequence = {
+    OSC: 1024,
+    DCS: 1024,
+    SIXEL: 16 * 1024 * 1024
+  };
+  if(typeof spec.max_string_sequence === 'number') {
+    ['OSC', 'DCS'].forEach(function(type) {
+      my.max_string_sequence[type] = spec.max_string_sequence;
+    });
+  }
+  else if(typeof spec.max_string_sequence === 'object') {
+    Object.keys(spec.max_string_sequence).forEach(function(type) {
+      my.max_string_sequence[type] = spec.max_string_sequence[type];
+    });
+  }
+  my.max_image_size = spec.max_image_size || 
+    require('./sixel.js').MAX_SIZE;
+  my.string_type = null;
+  my.string = '';
+  my.string_start = 0;
+  my.unknown = spec.unknown || ((spec.warn === false) ? 'silent' : 'log');
+  if(['silent', 'event', 'log', 'strict'].indexOf(my.unknown) === -1)
+    throw new Error('Invalid unknown sequence policy: ' + my.unknown);
+  my.stats = {};
+  my.strict_error = null;
   my.saved_state = {};
+  my.encoding = spec.encoding || 'utf8';
+  my.utf8 = /^utf-?8$/i.test(my.encoding);
+  my.decoder = new StringDecoder(my.encoding);
+  my.custom = { CC1: {}, ESC: {}, CSI: {}, OSC: {}, DCS: {}, VT52: {} };
+  /* Character sets registered on this instance (see `register_charset`) */
+  my.charsets = {};
 
   //
   // #### _public methods_
   //
-  var reset;      /* reset(); */
-  var read;       /* read(); */
+  var reset;        /* reset(); */
+  var read;         /* read(buf); */
+  var set_encoding; /* set_encoding(encoding); */
+  var register;     /* register(type, code, handler); */
+  var stats;        /* stats(); */
+  var unregister;   /* unregister(type, code); */
+  var dec_mode;     /* dec_mode(code); */
+
+  var allow_width_change; /* allow_width_change(); */
+  var nrcm;               /* nrcm(); */
+
+  var register_charset;   /* register_charset(designator, map); */
+  var unregister_charset; /* unregister_charset(designator); */
   
   var that = new events.EventEmitter();
 
@@ -285,7 +433,7 @@ var vt = function(spec, my) {
       G0: my.G0,
       G1: my.G1,
       G2: my.G2,
-      G4: my.G3
+      G3: my.G3
     };
 
     /* Saves cursor and text attributes */
@@ -316,10 +464,11 @@ var vt = function(spec, my) {
   // Resets the VT to its initial default state
   //
   reset = function() {
-    /* We initialize the state here if not already done since we need to */
-    /* wait for parse_unknown to be defined to construct it              */
-    if(!my.state)
-      my.state = state({ def_fun: parse_unknown })
+    my.state.reset_args();
+    my.parse_state = STATES.GROUND;
+    my.string_type = null;
+    my.string = '';
+    my.dcs = null;
 
     my.G0 = require('./char_map.js').maps['B'];
     my.G1 = require('./char_map.js').maps['0'];
@@ -328,6 +477,19 @@ var vt = function(spec, my) {
 
     my.GL = 'G0';
     my.GR = 'G0';
+    my.single_shift = null;
+
+    my.vt52 = false;
+    my.vt52_graphics = false;
+
+    /* State of the DEC modes kept by `vt` (with a `state` in the registry) */
+    my.dec_modes = {};
+    Object.keys(DEC_MODES).forEach(function(code) {
+      if(typeof DEC_MODES[code].state === 'boolean')
+        my.dec_modes[code] = DEC_MODES[code].state;
+    });
+    if(typeof spec.allow_width_change === 'boolean')
+      my.dec_modes['40'] = spec.allow_width_change;
 
     my.saved_state = {
       GL: my.GL,
@@ -335,207 +497,541 @@ var vt = function(spec, my) {
       G0: my.G0,
       G1: my.G1,
       G2: my.G2,
-      G4: my.G3
+      G3: my.G3
     };
   };
 
+  //
+  // ### register
+  // ```
+  // @type    {string} the sequence type (CC1, ESC, CSI, OSC, DCS or VT52)
+  // @code    {string} the sequence code as dispatched (`'?h'`, `' q'`, 
+  //                   `'1337'`, `'$q'`, ...)
+  // @handler {function} handler(seq)
+  // ```
+  // Registers a custom sequence handler, taking priority over the built-in
+  // one. The handler is called with `seq`:
+  // - `type`, `code`: the sequence being dispatched
+  // - `args`: the parsed arguments (CSI, DCS) or `;` separated fields (OSC)
+  // - `leading`, `trailing`: the private marker and intermediates (CSI, DCS
+  //   and ESC)
+  // - `data`, `terminator`: the string of OSC and DCS sequences
+  // - `emit(name, ...)`: emits a `sequence` event with the given arguments
+  // If the handler returns `false` the built-in handler is invoked as well.
+  //
+  register = function(type, code, handler) {
+    if(!my.custom[type])
+      throw new Error('Unknown sequence type: ' + type);
+    my.custom[type][code] = handler;
+  };
+
+  //
+  // ### unregister
+  // ```
+  // @type {string} the sequence type (CC1, ESC, CSI, OSC, DCS or VT52)
+  // @code {string} the sequence code
+  // ```
+  // Removes a custom sequence handler registered with `register`
+  //
+  unregister = function(type, code) {
+    if(!my.custom[type])
+      throw new Error('Unknown sequence type: ' + type);
+    delete my.custom[type][code];
+  };
+
+  //
+  // ### register_charset
+  // ```
+  // @designator {string} the final character (preceded by its intermediate
+  //                      if any) designating the set in SCS sequences 
+  //                      (`ESC ( designator`)
+  // @map        {object} a char_map or a char_map spec `{ name, glmap, nrc }`
+  // @return {object} the registered char_map
+  // ```
+  // Registers a character set on this instance so that it can be designated
+  // into G0-G3, taking priority over the built-in sets of `char_map.maps`.
+  //
+  register_charset = function(designator, map) {
+    if(typeof map.reset !== 'function')
+      map = require('./char_map.js').char_map(map);
+    my.charsets[designator] = map;
+    return map;
+  };
+
+  //
+  // ### unregister_charset
+  // ```
+  // @designator {string} the designator of the set
+  // ```
+  // Removes a character set registered with `register_charset`. The set 
+  // stays designated until another one is.
+  //
+  unregister_charset = function(designator) {
+    delete my.charsets[designator];
+  };
+
+  //
+  // ### dec_mode
+  // ```
+  // @code {string} the DEC private mode code
+  // @return {boolean} the mode state or null if it is not kept by `vt`
+  // ```
+  // Returns the state of a DEC private mode kept by `vt`, that is a mode 
+  // with a `state` in the `modes.js` registry (40, 42 and 69)
+  //
+  dec_mode = function(code) {
+    return my.dec_modes.hasOwnProperty(code) ? my.dec_modes[code] : null;
+  };
+
+  //
+  // ### allow_width_change
+  // Returns whether DECCOLM is allowed to resize the screen (mode 40)
+  //
+  allow_width_change = function() {
+    return dec_mode('40');
+  };
+
+  //
+  // ### nrcm
+  // Returns whether national replacement character sets are enabled (mode
+  // 42, DECNRCM)
+  //
+  nrcm = function() {
+    return dec_mode('42');
+  };
+
+  //
+  // ### stats
+  // ```
+  // @return {object} `{ type: { code: count } }`
+  // ```
+  // Returns the number of occurences of each unknown or ignored sequence seen
+  // so far, by sequence type (CC1, ESC, CSI, OSC, DCS, VT52, ANSI_MODE, 
+  // DEC_MODE) and code
+  //
+  stats = function() {
+    var ret = {};
+    Object.keys(my.stats).forEach(function(type) {
+      ret[type] = {};
+      Object.keys(my.stats[type]).forEach(function(code) {
+        ret[type][code] = my.stats[type][code];
+      });
+    });
+    return ret;
+  };
+
+  //
+  // ### set_encoding
+  // ```
+  // @encoding {string} the encoding of the data received from the pty
+  // ```
+  // Sets the encoding used to decode `Buffer` data passed to `read`. Any
+  // partial multibyte sequence pending in the previous decoder is dropped.
+  //
+  set_encoding = function(encoding) {
+    my.encoding = encoding || 'utf8';
+    my.utf8 = /^utf-?8$/i.test(my.encoding);
+    my.decoder = new StringDecoder(my.encoding);
+  };
+
   //
   // ### read
   // ```
-  // @buf The string bufffer to read
+  // @buf {Buffer|string} the data to read
   // ```
-  // Reads a string of character, inteprets it and pass it the the
-  // underlying terminal
+  // Reads a chunk of data, inteprets it and pass it the the underlying 
+  // terminal. The data is run through the `TRANSITIONS` state machine, runs
+  // of printable characters and of string data being handled at once. 
+  // Buffers are scanned in place but each of these runs is still sliced and
+  // decoded into a string, with a stateful decoder so that multibyte 
+  // characters split across two chunks are correctly reassembled. Under the
+  // `strict` policy the whole chunk is interpreted before the first unknown
+  // sequence met is thrown.
   //
   read = function(buf) {
-    var str = buf;
-    str = str.replace(/\x00/g, '\\x00');
-    str = str.replace(/\x05/g, '\\x05');
-    str = str.replace(/\x07/g, '\\x07');
-    str = str.replace(/\x08/g, '\\x08');
-    str = str.replace(/\x09/g, '\\x09');
-    str = str.replace(/\x0a/g, '\\x0a');
-    str = str.replace(/\x0b/g, '\\x0b');
-    str = str.replace(/\x0c/g, '\\x0c');
-    str = str.replace(/\x0d/g, '\\x0d');
-    str = str.replace(/\x0e/g, '\\x0e');
-    str = str.replace(/\x0f/g, '\\x0f');
-    str = str.replace(/\x11/g, '\\x11');
-    str = str.replace(/\x13/g, '\\x13');
-    str = str.replace(/\x18/g, '\\x18');
-    str = str.replace(/\x1a/g, '\\x1a');
-    str = str.replace(/\x1b/g, '\\x1b');
-    str = str.replace(/\x7f/g, '\\x7f');
-    factory.log().debug('PTY: ' + str);
-
-    my.state.reset_buf(buf.toString('utf8'));
-
-    while(!my.state.is_complete()) {
-      var fun = my.state.fun();
-      var buf = my.state.buf();
-      var pos = my.state.pos();
-
-      my.state.fun()();
-      if(my.state.fun() === fun &&
-         my.state.buf() === buf &&
-         my.state.pos() === pos) {
-        throw new Error('Parser `fun` failed to alter state');
+    var binary = Buffer.isBuffer(buf);
+    if(!binary && typeof buf !== 'string')
+      return;
+
+    if(my.string_type !== null && 
+       Date.now() - my.string_start > my.osc_time_limit) {
+      string_abort('Timeout expired: ' + (Date.now() - my.string_start));
+      my.parse_state = STATES.GROUND;
+    }
+
+    var i = 0;
+    while(i < buf.length) {
+      var code = binary ? buf[i] : buf.charCodeAt(i);
+      var current = my.parse_state;
+
+      if(current === STATES.ESCAPE && code >= 0x20) {
+        if(my.string_type !== null) {
+          if(code === 0x5c) {
+            /* String Terminator (ST) ending the pending string */
+            my.parse_state = STATES.GROUND;
+            string_end('\x1b\\');
+            i++;
+            continue;
+          }
+          string_abort('Embedded escape');
+          clear();
+        }
+        if(my.vt52) {
+          /* In VT52 mode escape sequences are interpreted as VT52 sequences */
+          my.parse_state = STATES.GROUND;
+          dispatch('VT52', String.fromCharCode(code));
+          i++;
+          continue;
+        }
+      }
+
+      var row = current << 8;
+      var entry = TRANSITIONS[row | (code > 0xff ? 0xff : code)];
+      var action = entry >> 4;
+      var next = entry & 0x0f;
+
+      if(action === ACTIONS.PRINT || action === ACTIONS.PUT) {
+        /* Consume the run of characters sharing the same transition */
+        var start = i;
+        while(++i < buf.length) {
+          code = binary ? buf[i] : buf.charCodeAt(i);
+          if(TRANSITIONS[row | (code > 0xff ? 0xff : code)] !== entry)
+            break;
+        }
+        var str = binary ? my.decoder.write(buf.slice(start, i)) :
+                           buf.substring(start, i);
+        if(action === ACTIONS.PRINT)
+          print(str);
+        else
+          string_put(str);
+        continue;
+      }
+
+      i++;
+      if(next !== current) {
+        my.parse_state = next;
+        transition(next, code);
+      }
+
+      switch(action) {
+        case ACTIONS.EXECUTE: {
+          dispatch('CC1', String.fromCharCode(code));
+          break;
+        }
+        case ACTIONS.COLLECT: {
+          /* Private markers lead the parameters, intermediates trail them */
+          if(code >= 0x3c)
+            my.leading_modifier += String.fromCharCode(code);
+          else
+            my.trailing_modifier += String.fromCharCode(code);
+          break;
+        }
+        case ACTIONS.PARAM: {
+          my.state.param(code);
+          break;
+        }
+        case ACTIONS.ESC_DISPATCH: {
+          dispatch('ESC', my.trailing_modifier + String.fromCharCode(code));
+          break;
+        }
+        case ACTIONS.CSI_DISPATCH: {
+          dispatch('CSI', my.leading_modifier + my.trailing_modifier + 
+                   String.fromCharCode(code));
+          break;
+        }
+        case ACTIONS.ADDRESS: {
+          /* Row and column following the VT52 `ESC Y`, offset by 0x20 */
+          var coords = my.state.args();
+          coords.push(code - 0x20);
+          if(coords.length === 2) {
+            my.parse_state = STATES.GROUND;
+            that.emit('set_cursor_position', coords[0], coords[1]);
+          }
+          break;
+        }
       }
     }
+
+    if(my.strict_error) {
+      var error = my.strict_error;
+      my.strict_error = null;
+      throw error;
+    }
   };
 
   /****************************************************************************/
-  /*                               PARSERS                                    */
+  /*                               PARSER                                     */
   /****************************************************************************/
 
   //
-  // ### parse_unknown
-  // Default parse function. Scans the string for 1-byte control character
-  // (C0/C1 from [CTRL]). Any plain text coming before the code will be printed
-  // normally to the terminal, the the control character will be dispatched.
+  // ### print
+  // ```
+  // @str {string} the printable characters to print
+  // ```
+  // Maps the characters through the invoked character sets and emits them
   //
-  parse_unknown = function() {
-    function print(str) {
-      var str;
-      if(my[my.GL].GL)
-        str = my[my.GL].GL(str);
-      if(my[my.GR].RL)
-        str = my[my.GR].GR(str);
-      that.emit('print', str);
-    };
-
-    var buf = my.state.peek_buf();
-    var next_control = buf.search(my.cc1_r);
-
-    if(next_control === 0) {
-      /* We just stumbled into a control character */
-      dispatch('CC1', buf.substr(0, 1));
-      my.state.advance(1);
-    }
-    else if(next_control === -1) {
-      /* No control character, we print */
-      print(buf);
-      my.state.reset();
-    }
-    else {
-      print(buf.substr(0, next_control));
-      dispatch('CC1', buf.substr(next_control, 1));
-      my.state.advance(next_control + 1);
+  print = function(str) {
+    if(!str.length)
+      return;
+    var shifted = '';
+    if(my.single_shift) {
+      /* Single shifts only apply to the next character */
+      shifted = str.substr(0, 1);
+      str = str.substr(1);
+      if(my[my.single_shift].GL)
+        shifted = my[my.single_shift].GL(shifted);
+      my.single_shift = null;
     }
+    if(my[my.GL].GL)
+      str = my[my.GL].GL(str);
+    /* GR is only invoked when the data is not UTF-8 encoded (8-bit) */
+    if(!my.utf8 && my[my.GR].GR)
+      str = my[my.GR].GR(str);
+    str = shifted + str;
+    if(my.vt52 && my.vt52_graphics)
+      str = require('./char_map.js').maps['0'].GL(str);
+    that.emit('print', str);
   };
 
-
   //
-  // ### parse_csi
-  // Parse a Control Sequence Introducer code and dispatch it
+  // ### clear
+  // Clears the arguments and modifiers of the sequence being parsed
   //
-  parse_csi = function() {
-    var ch = my.state.peek();
-    var args = my.state.args();
+  clear = function() {
+    my.state.reset_args();
+    my.leading_modifier = '';
+    my.trailing_modifier = '';
+  };
 
-    if(ch >= '@' && ch <= '~') {
-      /* This is the final character */
-      dispatch('CSI', my.leading_modifier + my.trailing_modifier + ch);
-      my.state.reset_fun();
+  //
+  // ### transition
+  // ```
+  // @next {number} the state being entered
+  // @code {number} the character code causing the transition
+  // ```
+  // Performs the exit action of the string being parsed if the transition
+  // leaves it and the entry action of the state being entered. A string 
+  // interrupted by ESC is kept pending until the next character tells 
+  // whether it was a String Terminator (ST).
+  //
+  transition = function(next, code) {
+    if(my.string_type !== null && next !== STATES.ESCAPE &&
+       (next < STATES.DCS_ENTRY || next > STATES.SOS_PM_APC_STRING)) {
+      if(code === 0x07)
+        string_end('\x07');
+      else
+        string_abort();
     }
-    else if(ch === ';') {
-      /* Parameter delimiter */
-      if(my.trailing_modifier) {
-        /* Parameter delimiter after the trailing modifier. paddlin' */
-        my.state.reset_fun();
+
+    switch(next) {
+      case STATES.ESCAPE: {
+        if(my.string_type === null)
+          clear();
+        break;
       }
-      else {
-        if(!args.length) {
-          /* They omitted the first param. we supply it */
-          args.push('');
-        }
-        args.push('');
+      case STATES.CSI_ENTRY: {
+        clear();
+        break;
       }
-    }
-    else if (ch >= '0' && ch <= '9') {
-      if(my.trailing_modifier) {
-        my.state.reset_fun();
+      case STATES.DCS_ENTRY: {
+        clear();
+        string_start('DCS');
+        break;
       }
-      else if(!args.length) {
-        args[0] = ch;
+      case STATES.DCS_PASSTHROUGH: {
+        /* Hook: DCS sequences are dispatched on `private intermediates */
+        /* final` once their data is complete                            */
+        my.dcs = {
+          code: my.leading_modifier + my.trailing_modifier + 
+                String.fromCharCode(code),
+          data: '',
+          terminator: null
+        };
+        break;
       }
-      else {
-        args[args.length - 1] += ch;
+      case STATES.DCS_IGNORE: {
+        unknown('DCS', 'invalid', my.state.args().slice(), 
+                '\x1bP' + my.leading_modifier + my.state.args().join(';') + 
+                my.trailing_modifier + String.fromCharCode(code));
+        break;
+      }
+      case STATES.OSC_STRING: {
+        string_start('OSC');
+        break;
+      }
+      case STATES.SOS_PM_APC_STRING: {
+        string_start({ 0x58: 'SOS', 0x5e: 'PM', 0x5f: 'APC' }[code]);
+        break;
       }
     }
-    else if (ch >= ' ' && ch <= '?' && ch != ':') {
-      if(!args.length) {
-        my.leading_modifier += ch;
+  };
+
+  //
+  // ### string_start
+  // ```
+  // @type {string} the string type (OSC, DCS, SOS, PM or APC)
+  // ```
+  // Starts a control string. Only OSC and DCS data is accumulated.
+  //
+  string_start = function(type) {
+    my.string_type = type;
+    my.string = '';
+    my.string_start = Date.now();
+    my.dcs = null;
+  };
+
+  //
+  // ### string_put
+  // ```
+  // @str {string} the string data to accumulate
+  // ```
+  // Accumulates string data. The string is aborted if it exceeds the maximum
+  // length for its type, sixel DCS strings being allowed to be larger. The
+  // rest of an aborted string is then ignored up to its terminator.
+  //
+  string_put = function(str) {
+    my.string += str;
+    var type = my.string_type;
+    if(type === 'DCS' && my.dcs.code === 'q')
+      type = 'SIXEL';
+    if(my.string.length > my.max_string_sequence[type]) {
+      string_abort('Too long: ' + my.string.length);
+      /* Ignored as SOS, PM and APC strings are until ST, BEL, CAN or SUB */
+      my.string_type = 'IGNORED';
+      my.parse_state = STATES.SOS_PM_APC_STRING;
+    }
+  };
+
+  //
+  // ### string_end
+  // ```
+  // @terminator {string} the string terminator (`ESC \` or BEL)
+  // ```
+  // Dispatches the completed OSC or DCS string. The terminator is kept to be
+  // used in replies.
+  //
+  string_end = function(terminator) {
+    var type = my.string_type;
+    var data = my.string;
+    my.string_type = null;
+    my.string = '';
+
+    if(type === 'OSC') {
+      my.state.reset_args();
+      var ary_m = /^(\d+)(?:;([\s\S]*))?$/.exec(data);
+      if(ary_m) {
+        my.state.args()[0] = ary_m[2] || '';
+        my.state.args()[2] = terminator;
+        dispatch('OSC', ary_m[1]);
       }
       else {
-        my.trailing_modifier += ch;
+        unknown('OSC', 'invalid', [], '\x1b]' + data + terminator);
       }
     }
-    else if (my.cc1_r.test(ch)) {
-      dispatch('CC1', ch);
-    }
-    else {
-      my.state.reset_fun();
+    else if(type === 'DCS' && my.dcs) {
+      my.dcs.data = data;
+      my.dcs.terminator = terminator;
+      dispatch('DCS', my.dcs.code);
     }
-    my.state.advance(1);
   };
 
   //
-  // ### parse_until_string_terminator
+  // ### string_abort
   // ```
-  // @return {boolean} if true, parsing is complete else it exceeded
+  // @reason {string} the reason logged [optional]
   // ```
-  // Skip over the string until the next String Terminator (ST, 'ESC \') or
-  // Bell (BEL, '\x07')
+  // Drops the string being parsed
   //
-  parse_until_string_terminator = function() {
-    var buf = my.state.peek_buf();
-    var next_terminator = buf.search(/(\x1b\\|\x07)/);
-    var args = my.state.args();
-
-    if(!args.length) {
-      args[0] = '';
-      args[1] = new Date();
+  string_abort = function(reason) {
+    if(reason && my.unknown === 'log') {
+      factory.log().out('`' + my.string_type + '` string aborted: ' + 
+                        reason + ' [' + my.string + ']');
     }
+    my.string_type = null;
+    my.string = '';
+    my.dcs = null;
+  };
 
-    if(next_terminator === -1) {
-      /* No terminator here, have to wait for the next string */
-      args[0] += buf;
-
-      var abort;
-      if(args[0].length > my.max_string_sequence)
-        abort = 'Too long: ' + args[0].length;
-      if(args[0].indexOf('\x1b') !== -1)
-        abort = 'Embedded escape: ' + args[0].indexOf('\x1b');
-      if(new Date() - args[1] > my.osc_time_limit)
-        abort = 'Timeout expired: ' + (new Date() - args[1]);
-
-      if(abort) {
-        factory.log().out('`parse_until_string_terminator` aborting: ' + 
-                          abort + ' [' + args[0] + ']');
-        my.state.reset(args[0]);
-        return false;
-      }
-      
-      my.state.advance(buf.length);
-      return true;
+  //
+  // ### parse_color
+  // ```
+  // @spec {string} an X11 color specification
+  // @return {array} `[r, g, b]` 8-bit components or null if invalid
+  // ```
+  // Parses `rgb:r/g/b` (1 to 4 hex digits per component) and `#rgb`, 
+  // `#rrggbb`, `#rrrgggbbb`, `#rrrrggggbbbb` color specifications.
+  // `rgb:` components are scaled while `#` components are left-justified
+  // as X11 does (`#fff` is `[240, 240, 240]`).
+  //
+  parse_color = function(spec) {
+    var rgb_r = /^rgb:([0-9a-f]{1,4})\/([0-9a-f]{1,4})\/([0-9a-f]{1,4})$/i;
+    var m = rgb_r.exec(spec);
+    if(m) {
+      return [m[1], m[2], m[3]].map(function(p) {
+        /* Scale the component to 8 bits */
+        var max = Math.pow(16, p.length) - 1;
+        return Math.round(parseInt(p, 16) * 255 / max);
+      });
     }
-    else if((args[0].length + next_terminator) > my.max_string_sequence) {
-      /* Found the end of sequence but it's too long */
-      my.state.reset(args[0] + buf);
-      return false;
+    if(/^#([0-9a-f]{3}){1,4}$/i.test(spec)) {
+      var l = (spec.length - 1) / 3;
+      return [0, 1, 2].map(function(i) {
+        /* Keep the 8 most significant bits of the component */
+        var v = parseInt(spec.substr(1 + i * l, l), 16);
+        return l < 2 ? v << 4 : v >> (4 * l - 8);
+      });
     }
-    else {
-      /* Found the terminator. String is accumulated in args[0] */
-      args[0] += buf.substr(0, next_terminator);
-      my.state.reset_fun();
-      my.state.advance(next_terminator +
-                             (buf.substr(next_terminator, 1) === '\x1b' ? 
-                              2 : 1));
-      return true;
+    return null;
+  };
+
+  //
+  // ### dynamic_colors
+  // ```
+  // @code {string} the OSC code (10, 11 or 12)
+  // ```
+  // Handles OSC 10, 11 and 12 which set or query the default foreground,
+  // background and cursor colors. Extra parameters apply to the following 
+  // dynamic colors (`OSC 10 ; fg ; bg`).
+  //
+  dynamic_colors = function(code) {
+    var which = ['foreground', 'background', 'cursor'];
+    var specs = my.state.args()[0].split(';');
+    for(var i = 0; i < specs.length; i ++) {
+      var target = which[parseInt(code, 10) - 10 + i];
+      if(!target)
+        break;
+      if(specs[i] === '?') {
+        that.emit('query_dynamic_color', target, my.state.args()[2]);
+      }
+      else {
+        var rgb = parse_color(specs[i]);
+        if(rgb)
+          that.emit('set_dynamic_color', target, rgb);
+      }
     }
   };
 
+  //
+  // ### rectangle
+  // ```
+  // @pos {number} position of the `Pt` argument
+  // @return {object} `{ top, left, bottom, right }` 0-based and inclusive
+  // ```
+  // Reads the `Pt ; Pl ; Pb ; Pr` rectangle arguments of the VT420 rectangular
+  // area operations. `bottom` and `right` are null if defaulted (meaning the
+  // last row and column of the page).
+  //
+  rectangle = function(pos) {
+    var bottom = my.state.int_arg(pos + 2, 0);
+    var right = my.state.int_arg(pos + 3, 0);
+    return {
+      top: my.state.int_arg(pos, 1) - 1,
+      left: my.state.int_arg(pos + 1, 1) - 1,
+      bottom: bottom ? bottom - 1 : null,
+      right: right ? right - 1 : null
+    };
+  };
+
   /****************************************************************************/
   /*                               DISPATCH                                   */
   /****************************************************************************/
@@ -547,27 +1043,124 @@ var vt = function(spec, my) {
   // @code {string} the escape sequence code
   // ```
   // Dispatch to the function that handles the given CC1, ESC, CSI or VT52 code
+  // giving priority to custom handlers registered with `register`
   //
   dispatch = function(type, code) {
+    var custom = my.custom[type][code];
+    if(custom) {
+      var args = my.state.args().slice();
+      var seq = {
+        type: type,
+        code: code,
+        args: args,
+        leading: my.leading_modifier,
+        trailing: my.trailing_modifier,
+        data: null,
+        terminator: null,
+        emit: function() {
+          var params = Array.prototype.slice.call(arguments);
+          that.emit.apply(that, ['sequence'].concat(params));
+        }
+      };
+      if(type === 'OSC') {
+        seq.data = args[0];
+        seq.terminator = args[2];
+        seq.args = args[0].split(';');
+      }
+      else if(type === 'DCS') {
+        seq.data = my.dcs.data;
+        seq.terminator = my.dcs.terminator;
+      }
+      if(custom(seq) !== false)
+        return;
+    }
+
     var handler = my[type][code];
+    if(!handler && type === 'ESC' && code.length > 1) {
+      /* Sequences with intermediates may be handled by the first one */
+      handler = my.ESC[code.charAt(0)];
+    }
     if(!handler || handler === ignore) {
-      if(my.warn) {
-        factory.log().out('Unknown/Ignore ' + type + ' code: ' + code);
-        /* factory.log().out(new Error().stack); */
-      }
-      return;
+      return unknown(type, code, my.state.args().slice(), 
+                     raw_sequence(type, code), handler === ignore);
     }
     if(type === 'CC1' && code > '\x7f') {
       /* We don't handle 8-bit controls. So let's just ignore */
-      if(my.warn) {
-        factory.log().out('Ignored 8-bit control code: 0x' + 
-                          code.charCodeAt(0).toString(16));
-      }
-      return;
+      return unknown(type, code, [], code, true);
     }
     return handler(code);
   };
 
+  //
+  // ### raw_sequence
+  // ```
+  // @type {string} the escape sequence type
+  // @code {string} the escape sequence code
+  // @return {string} the sequence being dispatched
+  // ```
+  // Rebuilds the sequence being dispatched from the parser state
+  //
+  raw_sequence = function(type, code) {
+    var args = my.state.args();
+    switch(type) {
+      case 'CC1': 
+        return code;
+      case 'ESC':
+      case 'VT52':
+        return '\x1b' + code;
+      case 'CSI':
+        return '\x1b[' + my.leading_modifier + args.join(';') + 
+          my.trailing_modifier + code.substr(-1);
+      case 'OSC':
+        return '\x1b]' + code + (args[0] ? ';' + args[0] : '') + 
+          (args[2] || '\x07');
+      case 'DCS':
+        return '\x1bP' + my.leading_modifier + args.join(';') + 
+          my.trailing_modifier + code.substr(-1) + my.dcs.data + 
+          my.dcs.terminator;
+    }
+    return code;
+  };
+
+  //
+  // ### unknown
+  // ```
+  // @type    {string} the sequence type
+  // @code    {string} the sequence code
+  // @args    {array} the sequence arguments
+  // @raw     {string} the raw sequence
+  // @ignored {boolean} the sequence is known but deliberately ignored
+  // ```
+  // Reports an unknown or ignored sequence according to the `unknown` policy:
+  // - `silent`: only counted in `stats`
+  // - `event`:  an `unknown_sequence` event is emitted
+  // - `log`:    the event is emitted and the sequence is logged
+  // - `strict`: an error is thrown by `read` once the data read is consumed
+  //
+  unknown = function(type, code, args, raw, ignored) {
+    my.stats[type] = my.stats[type] || {};
+    my.stats[type][code] = (my.stats[type][code] || 0) + 1;
+    if(my.unknown === 'silent')
+      return;
+    if(my.unknown === 'strict') {
+      /* Only the first error of the chunk is reported */
+      my.strict_error = my.strict_error || 
+        new Error('Unsupported ' + type + ' sequence: ' + JSON.stringify(raw));
+      return;
+    }
+    that.emit('unknown_sequence', {
+      type: type,
+      code: code,
+      args: args,
+      raw: raw,
+      ignored: ignored ? true : false
+    });
+    if(my.unknown === 'log') {
+      factory.log().out((ignored ? 'Ignored ' : 'Unknown ') + type + 
+                        ' code: ' + code + ' ' + JSON.stringify(raw));
+    }
+  };
+
   /****************************************************************************/
   /*                                  MODES                                   */
   /****************************************************************************/
@@ -581,12 +1174,12 @@ var vt = function(spec, my) {
   // Set one o the ANSI defined terminal mode bits
   //
   set_ansi_mode = function(code, state) {
-    if(code === '4')
-      that.emit('set_insert_mode', state)
-    else if(code === '20')
-      that.emit('set_auto_carriage_return', state)
-    else if(my.warn)
-      factory.log().out('Unimplemented ANSI Mode: ' + code);
+    var mode = ANSI_MODES[code];
+    if(mode && mode.event)
+      that.emit.apply(that, [mode.event].concat(mode.args || [], [state]));
+    else
+      unknown('ANSI_MODE', code, [code], 
+              '\x1b[' + code + (state ? 'h' : 'l'), !!mode);
   };
 
   //
@@ -598,15 +1191,15 @@ var vt = function(spec, my) {
   // Invoked in response to DECSET/DECRST.
   // Expected values for code:
   //     1 - Application Cursor Keys (DECCKM).
-  //     2 - [!] Designate USASCII for character sets G0-G3 (DECANM), and set
-  //         VT100 mode.
+  //     2 - Designate USASCII for character sets G0-G3 (DECANM), and set
+  //         VT100 mode. Reset switches to VT52 mode.
   //     3 - 132 Column Mode (DECCOLM).
   //     4 - [x] Smooth (Slow) Scroll (DECSCLM).
   //     5 - Reverse Video (DECSCNM).
   //     6 - Origin Mode (DECOM).
   //     7 - Wraparound Mode (DECAWM).
   //     8 - [x] Auto-repeat Keys (DECARM).
-  //     9 - [!] Send Mouse X & Y on button press.
+  //     9 - Send Mouse X & Y on button press. (X10)
   //    10 - [x] Show toolbar (rxvt).
   //    12 - Start Blinking Cursor (att610).
   //    18 - [!] Print form feed (DECPFF).
@@ -617,21 +1210,25 @@ var vt = function(spec, my) {
   //    38 - [x] Enter Tektronix Mode (DECTEK).
   //    40 - Allow 80 - 132 Mode.
   //    41 - [!] more(1) fix (see curses resource).
-  //    42 - [!] Enable Nation Replacement Character sets (DECNRCM).
+  //    42 - Enable Nation Replacement Character sets (DECNRCM).
   //    44 - [!] Turn On Margin Bell.
   //    45 - Reverse-wraparound Mode.
   //    46 - [x] Start Logging.
   //    47 - [!] Use Alternate Screen Buffer.
-  //    66 - [!] Application keypad (DECNKM).
+  //    66 - Application keypad (DECNKM).
   //    67 - Backarrow key sends backspace (DECBKM).
+  //    69 - Enable left and right margins (DECLRMM).
   //  1000 - Send Mouse X & Y on button press and release.  (MOUSE_REPORT_CLICK)
   //  1001 - [!] Use Hilite Mouse Tracking.
   //  1002 - Use Cell Motion Mouse Tracking.  (MOUSE_REPORT_DRAG)
-  //  1003 - [!] Use All Motion Mouse Tracking.
-  //  1004 - [!] Send FocusIn/FocusOut events.
-  //  1005 - [!] Enable Extended Mouse Mode.
+  //  1003 - Use All Motion Mouse Tracking.  (MOUSE_REPORT_ANY)
+  //  1004 - Send FocusIn/FocusOut events.
+  //  1005 - Enable UTF-8 Mouse Mode.
+  //  1006 - Enable SGR Mouse Mode.
+  //  1007 - Enable Alternate Scroll Mode.
   //  1010 - Scroll to bottom on tty output (rxvt).
   //  1011 - Scroll to bottom on key press (rxvt).
+  //  1015 - Enable urxvt Mouse Mode.
   //  1034 - [x] Interpret "meta" key, sets eighth bit.
   //  1035 - [x] Enable special modifiers for Alt and NumLock keys.
   //  1036 - Send ESC when Meta modifies a key.
@@ -642,7 +1239,7 @@ var vt = function(spec, my) {
   //  1042 - [!] Enable Urgency window manager hint when Control-G is received.
   //  1043 - [!] Enable raising of the window when Control-G is received.
   //  1047 - [!] Use Alternate Screen Buffer.
-  //  1048 - Save cursor as in DECSC.
+  //  1048 - Save cursor as in DECSC, restore it as in DECRC on reset.
   //  1049 - Save cursor as in DECSC and use Alternate Screen Buffer, clearing
   //         it first. (This may be disabled by the titeInhibit resource). This
   //         combines the effects of the 1047 and 1048 modes. Use this with
@@ -653,88 +1250,48 @@ var vt = function(spec, my) {
   //  1053 - [x] Set SCO function-key mode.
   //  1060 - [x] Set legacy keyboard emulation (X11R6).
   //  1061 - [!] Set VT220 keyboard emulation.
-  //  2004 - [!] Set bracketed paste mode.
+  //  2004 - Set bracketed paste mode.
   //   
   // [!] - Not currently implemented, may be in the future.
   // [x] - Will not implement.
   //
   set_dec_mode = function(code, state) {
+    var mode = DEC_MODES[code];
+    if(!mode) {
+      return unknown('DEC_MODE', code, [code], 
+                     '\x1b[?' + code + (state ? 'h' : 'l'));
+    }
+    if(mode.event)
+      that.emit.apply(that, [mode.event].concat(mode.args || [], [state]));
+    if(typeof mode.state === 'boolean')
+      my.dec_modes[code] = state ? true : false;
+
+    /* Modes with side effects on the parser or other sequences */
     switch(code) {
-      case '1': {
-        that.emit('set_application_cursor', state);
+      case '2': {
+        if(!state) {
+          my.vt52 = true;
+          my.vt52_graphics = false;
+          that.emit('set_vt52_mode', true);
+        }
         break;
       }
       case '3': {
-        if(my.allow_width_change) {
+        if(my.dec_modes['40']) {
           that.emit('resize', state ? 132 : 80);
           that.emit('clear_home');
         }
         break;
       }
-      case '5': {
-        that.emit('set_reverse_video', state);
-        break;
-      }
       case '6': {
-        that.emit('set_origin_mode', state);
         that.emit('set_cursor_position', 0, 0);
         break;
       }
-      case '7': {
-        that.emit('set_wrap_around', state);
-        break;
-      }
-      case '12': {
-        that.emit('set_cursor_blink', state);
-        break;
-      }
-      case '25': {
-        that.emit('set_cursor_visible', state);
-        break;
-      }
-      case '40': {
-        my.allow_width_change = state ? true : false;
-        break;
-      }
-      case '45': {
-        that.emit('set_reverse_wrap_around', state);
-        break;
-      }
-      case '67': {
-        that.emit('set_keyboard_backspace_sends_backspace', state);
-        break;
-      }
-      case '1000': {
-        /* TODO: mouse */
-        break;
-      }
-      case '1002': {
-        /* TODO: mouse */
-        break;
-      }
-      case '1010': {
-        that.emit('set_scroll_on_output', state);
-        break;
-      }
-      case '1011': {
-        that.emit('set_scroll_on_keystroke', state);
-        break;
-      }
-      case '1036': {
-        that.emit('set_keyboard_meta_sends_escape', state);
-        break;
-      }
-      case '1039': {
-        that.emit('set_keyboard_alt_sends_escape', state);
-        break;
-      }
-      case '47':
-      case '1047': {
-        that.emit('set_alternate_mode', state);
-        break;
-      }
       case '1048': {
-        save_cursor();
+        if(state)
+          save_cursor();
+        else
+          restore_cursor();
         break;
       }
       case '1049': {
@@ -749,13 +1306,21 @@ var vt = function(spec, my) {
         }
         break;
       }
-      default: {
-        if(my.warn)
-          factory.log().out('Unimplemented DEC Private Mode: ' + code);
-      }
     }
   };
 
+  //
+  // ### dec_mode_codes
+  // ```
+  // @return {array} the list of mode codes passed as arguments
+  // ```
+  //
+  dec_mode_codes = function() {
+    return my.state.args().filter(function(code) {
+      return code.length > 0;
+    });
+  };
+
 
 
   /****************************************************************************/
@@ -819,44 +1384,23 @@ var vt = function(spec, my) {
     '\x13': ignore,
     // Cancel (CAN)
     '\x18': function() {
-      my.state.reset_fun();
       that.emit('print', '?');
     },
     // Substitute (SUB)
     '\x1a': function() {
-      my.state.reset_fun();
       that.emit('print', '?');
     },
-    // Escape (ESC)
-    '\x1b': function() {
-      function parse_esc() {
-        var ch = my.state.consume();
-        if(ch === '\x1b')
-          return;
-        dispatch('ESC', ch);
-        if(my.state.fun() === parse_esc)
-          my.state.reset_fun();
-      };
-      my.state.set_fun(parse_esc);
-    },
     // Delete (DEL)
     '\x7f': ignore
   };
 
-  //
-  // ### CC1 Regexp
-  // Constructed to quickly scan the known 1-byte control chars
-  //
-  var acc = Object.keys(my.CC1).map(function(e) {
-    return '\\x' + common.zpad(e.charCodeAt().toString(16), 2)
-  }).join('');
-  my.cc1_r = new RegExp('[' + acc + ']');
-
 
   //
   // ### ESC
   // Collection of control two-byte and three-byte sequences 
-  // starting with ESC.
+  // starting with ESC. Sequences with intermediates not found here are 
+  // handled by their first intermediate (`'#'` handles `'#8'`). The CSI, 
+  // OSC, DCS, SOS, PM and APC introducers are parser transitions.
   //
   my.ESC = {
     // Index (IND)
@@ -877,106 +1421,64 @@ var vt = function(spec, my) {
       that.emit('reverse_line_feed');
     },
     // Single Shift 2 (SS2)
-    'N': ignore,
+    'N': function() {
+      my.single_shift = 'G2';
+    },
     // Single Shift 3 (SS3)
-    'O': ignore,
-    // Device Control String (DCS)
-    'P': function() {
-      my.state.reset_args();
-      my.state.set_fun(parse_until_string_terminator);
+    'O': function() {
+      my.single_shift = 'G3';
     },
     // Start of Pretected Area (SPA)
-    'V': ignore,
+    'V': function() {
+      that.emit('set_protection', true, 'iso');
+    },
     // End of Protected Area (EPA)
-    'W': ignore,
-    // Start of String (SOS)
-    'X': ignore,
+    'W': function() {
+      that.emit('set_protection', false, 'iso');
+    },
     // Single Character Introducer (SCI, also DECID)
     'Z': function() {
       that.emit('write', '\x1b[?1;2c');
     },
-    // Control Sequence Introducer (CSI)
-    '[': function() {
-      my.state.reset_args();
-      my.leading_modifier = '';
-      my.trailing_modifier = '';
-      my.state.set_fun(parse_csi);
-    },
     // String Terminator (ST)
     '\\': ignore,
-    // Operating System Command (OSC)
-    ']': function() {
-      my.state.reset_args();
-      function parse_osc() {
-        if(!parse_until_string_terminator()) {
-          /* The string was too long or invalid */
-          return;
-        }
-        else if(my.state.fun() === parse_osc) {
-          /* We're not done parsing the string yet */
-          return;
-        }
-        else {
-          /* We're done */
-          var ary_r = /^(\d+);(.*)$/;
-          var ary_m = my.state.args()[0].match(ary_r);
-          if(ary_m) {
-            my.state.args()[0] = ary_m[2];
-            dispatch('OSC', ary_m[1]);
-          }
-          else {
-            factory.log().out('Invalid OSC: ' + my.state.args()[0]);
-          }
-        }
-      };
-      my.state.set_fun(parse_osc);
-    },
-    // Privacy Message (PM)
-    '^': function() {
-      my.state.reset_args();
-      my.state.set_fun(parse_until_string_terminator);
-    },
-    // Application Program Control (APC)
-    '_': function() {
-      my.state.reset_args();
-      my.state.set_fun(parse_until_string_terminator);
-    },
-    // xterm 'ESC 0x20' Sequence
-    '\x20': function() {
-      var parse = function() {
-        var ch = my.state.consume();
-        if(my.warn) {
-          factory.log().out('Unimplemented Sequence: ESC 0x20 ' + ch);
-        }
-        my.state.reset_fun();
-      };
-      my.state.set_fun(parse);
+    // xterm 'ESC 0x20' Sequences
+    '\x20': function(code) {
+      unknown('ESC', code, [], '\x1b' + code);
     },
     // DEC 'ESC #' Sequences
-    '#': function() {
-      var parse = function() {
-        var ch = my.state.consume();
-        if(ch === '8') {
-          that.emit('fill', 'E');
-        }
-        else if('3456'.indexOf(ch) === -1) {
-          /* Echo to terminal all non reserved sequences */
-          that.emit('print', '\x1b#' + ch);
-        }
-        my.state.reset_fun();
+    '#': function(code) {
+      var ch = code.substr(1);
+      var sizes = {
+        '3': 'double_height_top',
+        '4': 'double_height_bottom',
+        '5': 'single_width',
+        '6': 'double_width'
       };
-      my.state.set_fun(parse);
+      if(ch === '8') {
+        that.emit('fill', 'E');
+      }
+      else if(sizes[ch]) {
+        that.emit('set_line_attribute', sizes[ch]);
+      }
+      else {
+        /* Echo to terminal all non reserved sequences */
+        that.emit('print', '\x1b' + code);
+      }
     },
     // 'ESC %' Sequences
-    '%': function() {
-      var parse = function() {
-        var ch = my.state.consume();
-        if (my.warn) {
-          factory.log().out('Unknown/Unimplemented Seuqnce : ESC % ' + ch);
-        }
-        my.state.reset_fun();
-      };
-      my.state.set_fun(parse);
+    //   ESC % @ Select default character set (ISO 2022, 8-bit).
+    //   ESC % G Select UTF-8 character set.
+    '%': function(code) {
+      if(code === '%@') {
+        set_encoding('latin1');
+      }
+      else if(code === '%G') {
+        set_encoding('utf8');
+      }
+      else {
+        unknown('ESC', code, [], '\x1b' + code);
+      }
     },
     // Back Index (DECBI)
     '6': ignore,
@@ -1020,7 +1522,7 @@ var vt = function(spec, my) {
     },
     // Lock Shift 2, Right (LS2R)
     '}': function() {
-      my.GR = 'G1';
+      my.GR = 'G2';
     },
     // Lock Shift 1, Right (LS1R)
     '~': function() {
@@ -1037,34 +1539,30 @@ var vt = function(spec, my) {
   my.ESC['-'] =
   my.ESC['.'] =
   my.ESC['/'] = function(code) {
-    var parse = function() {
-      var ch = my.state.consume();
-      if(ch === '\x1b') {
-        my.state.reset_fun();
-        my.state.fun()();
-        return;
+    var g = code.charAt(0);
+    var map = my.charsets[code.substr(1)] || 
+      require('./char_map.js').maps[code.substr(1)];
+    if(map && map.nrc() && !my.dec_modes['42']) {
+      /* National sets can only be designated in DECNRCM mode */
+      unknown('ESC', code, [], '\x1b' + code, true);
+    }
+    else if(map) {
+      if(g === '(') {
+        my.G0 = map;
       }
-      if(ch in require('./char_map.js').maps) {
-        if(code === '(') {
-          my.G0 = require('./char_map.js').maps[ch];
-        }
-        else if(code ===')' || code === '-') {
-          my.G1 = require('./char_map.js').maps[ch];
-        }
-        else if(code ==='*' || code === '.') {
-          my.G2 = require('./char_map.js').maps[ch];
-        }
-        else if(code ==='+' || code === '/') {
-          my.G3 = require('./char_map.js').maps[ch];
-        }
+      else if(g ===')' || g === '-') {
+        my.G1 = map;
       }
-      else if(my.warn) {
-        factory.log().out('Invalid Character Set: ' + ch + 
-                          ' for code: ' + code);
+      else if(g ==='*' || g === '.') {
+        my.G2 = map;
       }
-      my.state.reset_fun();
-    };
-    my.state.set_fun(parse);
+      else if(g ==='+' || g === '/') {
+        my.G3 = map;
+      }
+    }
+    else {
+      unknown('ESC', code, [], '\x1b' + code);
+    }
   };
 
   //
@@ -1074,14 +1572,105 @@ var vt = function(spec, my) {
   my.OSC = {
     // Change Icon Name and Window Title
     '0': function() {
+      that.emit('set_icon_name', my.state.args()[0]);
       that.emit('set_window_title', my.state.args()[0]);
     },
+    // Change Icon Name
+    '1': function() {
+      that.emit('set_icon_name', my.state.args()[0]);
+    },
     // Change Window Title
     '2': function() {
       that.emit('set_window_title', my.state.args()[0]);
     },
     // Set/Read Color Palette
-    '4': ignore,
+    '4': function() {
+      var args = my.state.args()[0].split(';');
+      for(var i = 0; i + 1 < args.length; i += 2) {
+        var idx = parseInt(args[i], 10);
+        if(isNaN(idx) || idx < 0 || idx > 255)
+          continue;
+        if(args[i + 1] === '?') {
+          that.emit('query_color', idx, my.state.args()[2]);
+        }
+        else {
+          var rgb = parse_color(args[i + 1]);
+          if(rgb)
+            that.emit('set_color', idx, rgb);
+        }
+      }
+    },
+    // Current Working Directory (`OSC 7 ; file://host/path`)
+    '7': function() {
+      var m = /^file:\/\/([^\/]*)(\/.*)$/.exec(my.state.args()[0]);
+      if(!m)
+        return;
+      var path = m[2];
+      try {
+        path = decodeURIComponent(path);
+      }
+      catch(err) { /* keep the raw path */ }
+      that.emit('set_cwd', path, m[1]);
+    },
+    // Hyperlink (`OSC 8 ; params ; URI`, an empty URI ends the link)
+    '8': function() {
+      var args = my.state.args()[0];
+      var sep = args.indexOf(';');
+      if(sep === -1)
+        return;
+      var id = null;
+      args.substr(0, sep).split(':').forEach(function(param) {
+        if(param.substr(0, 3) === 'id=')
+          id = param.substr(3);
+      });
+      var uri = args.substr(sep + 1);
+      that.emit('set_hyperlink', uri.length ? uri : null, id);
+    },
+    // Set/Read Default Foreground Color
+    '10': dynamic_colors,
+    // Set/Read Default Background Color
+    '11': dynamic_colors,
+    // Set/Read Cursor Color
+    '12': dynamic_colors,
+    // Reset Color Palette
+    '104': function() {
+      var args = my.state.args()[0];
+      if(!args) {
+        that.emit('reset_color', null);
+        return;
+      }
+      args.split(';').forEach(function(arg) {
+        var idx = parseInt(arg, 10);
+        if(!isNaN(idx) && idx >= 0 && idx <= 255)
+          that.emit('reset_color', idx);
+      });
+    },
+    // Reset Default Foreground Color
+    '110': function() {
+      that.emit('reset_dynamic_color', 'foreground');
+    },
+    // Reset Default Background Color
+    '111': function() {
+      that.emit('reset_dynamic_color', 'background');
+    },
+    // Reset Cursor Color
+    '112': function() {
+      that.emit('reset_dynamic_color', 'cursor');
+    },
+    // Shell Integration Marks (FinalTerm)
+    //   A Prompt start.
+    //   B Command start (end of prompt, user input).
+    //   C Command executed (start of output).
+    //   D [; exit code] Command finished.
+    '133': function() {
+      var args = my.state.args()[0].split(';');
+      if('ABCD'.indexOf(args[0]) === -1 || args[0].length !== 1)
+        return;
+      var exit_code = null;
+      if(args[0] === 'D' && /^-?\d+$/.test(args[1] || ''))
+        exit_code = parseInt(args[1], 10);
+      that.emit('shell_mark', args[0], exit_code);
+    },
     // Set/Read System Clipboard
     '52': function() {
       var args_r = /^[cps01234567]+;(.*)$/;
@@ -1094,6 +1683,47 @@ var vt = function(spec, my) {
     }
   };
 
+  //
+  // ### DCS
+  // Collection of DCS (Device Control String) sequences. The string data
+  // following the final character is available in `my.dcs.data`.
+  //
+  my.DCS = {
+    // Request Status String (DECRQSS)
+    //   m  SGR
+    //   r  DECSTBM
+    //   q  DECSCUSR (` q`)
+    //   p  DECSCL (`"p`, always reported as VT100 7-bit)
+    '$q': function() {
+      that.emit('request_status', my.dcs.data, my.dcs.terminator);
+    },
+    // Sixel Graphics (`DCS P1 ; P2 ; P3 q data ST`)
+    'q': function() {
+      var image = require('./sixel.js').decode(my.dcs.data, 
+                                               my.state.int_arg(1, 0),
+                                               my.max_image_size);
+      if(image.width > 0 && image.height > 0)
+        that.emit('image', image);
+    },
+    // Request Termcap/Terminfo String (XTGETTCAP)
+    '+q': function() {
+      var st = my.dcs.terminator;
+      my.dcs.data.split(';').forEach(function(hex) {
+        var name = new Buffer(hex, 'hex').toString('binary');
+        if(!TERMCAP.hasOwnProperty(name)) {
+          that.emit('write', '\x1bP0+r' + hex + st);
+        }
+        else if(TERMCAP[name] === true) {
+          that.emit('write', '\x1bP1+r' + hex + st);
+        }
+        else {
+          that.emit('write', '\x1bP1+r' + hex + '=' + 
+                    new Buffer(TERMCAP[name], 'binary').toString('hex') + st);
+        }
+      });
+    }
+  };
+
   //
   // ### CSI
   // Collection of CSI (Control Sequence Introducer) sequences.
@@ -1148,39 +1778,43 @@ var vt = function(spec, my) {
     // Erase in Display (ED, DECSED)
     'J': function(code) {
       var arg = my.state.args()[0];
+      var selective = (code === '?J');
 
       if(!arg || arg === '0') {
-        that.emit('erase_below');
+        that.emit('erase_below', selective);
       }
       else if(arg === '1') {
-        that.emit('erase_above');
+        that.emit('erase_above', selective);
       }
       else if(arg === '2') {
-        that.emit('clear');
+        that.emit('clear', selective);
       }
       else if(arg === '3') {
         /* xterm "Erase saved lines" -> clear */
-        that.emit('clear');
+        that.emit('clear', selective);
       }
       else {
-        that.emit('print', '\x1b[' + code + args[0]);
+        unknown('CSI', code, my.state.args().slice(), 
+                raw_sequence('CSI', code));
       }
     },
     // Erase in Line (EL, DECSEL)
     'K': function(code) {
       var arg = my.state.args()[0];
+      var selective = (code === '?K');
 
       if(!arg || arg === '0') {
-        that.emit('erase_right');
+        that.emit('erase_right', null, selective);
       }
       else if(arg === '1') {
-        that.emit('erase_left');
+        that.emit('erase_left', selective);
       }
       else if(arg === '2') {
-        that.emit('erase_line');
+        that.emit('erase_line', selective);
       }
       else {
-        that.emit('print', '\x1b[' + code + args[0]);
+        unknown('CSI', code, my.state.args().slice(), 
+                raw_sequence('CSI', code));
       }
     },
     // Insert Lines (IL)
@@ -1280,15 +1914,22 @@ var vt = function(spec, my) {
     //
     //   0 Normal (default).
     //   1 Bold.
-    //   4 Underlined.
+    //   2 Faint.
+    //   3 Italic.
+    //   4 Underlined (`4:0` to `4:5`: none, single, double, curly, dotted,
+    //     dashed).
     //   5 Blink (appears as Bold).
     //   7 Reverse.
     //   8 Invisible, i.e., hidden (VT300).
+    //   9 Crossed-out.
+    //  21 Doubly underlined.
     //  22 Normal (neither bold nor faint).
+    //  23 Not italic.
     //  24 Not underlined.
     //  25 Steady (not blinking).
     //  27 Positive (not reverse).
     //  28 Visible, i.e., not hidden (VT300).
+    //  29 Not crossed-out.
     //  30 Set foreground color to Black.
     //  31 Set foreground color to Red.
     //  32 Set foreground color to Green.
@@ -1330,37 +1971,87 @@ var vt = function(spec, my) {
     // For 88- or 256-color support, the following apply.
     //  38 ; 5 ; P Set foreground color to P.
     //  48 ; 5 ; P Set background color to P.
+    //
+    // For 24-bit color support, the following apply.
+    //  38 ; 2 ; R ; G ; B Set foreground color to RGB.
+    //  48 ; 2 ; R ; G ; B Set background color to RGB.
+    //
+    // The ITU T.416 colon forms are also accepted (`38:5:P`, `38:2::R:G:B` 
+    // and `38:2:R:G:B`).
+    //
+    // The following extensions also apply.
+    //  53 Overlined.
+    //  55 Not overlined.
+    //  58 Set underline color (same forms as 38).
+    //  59 Set underline color to default.
     'm': function() {
-      var get256 = function(i) {
-        if(my.state.args().length < i + 2 || my.state.args()[i + 1] !== '5')
+      var args = my.state.args();
+
+      //
+      // Parses an extended color (38/48) starting at argument `i`. Returns
+      // `{ index }` or `{ rgb }` and the number of extra arguments consumed
+      // (`skip`), or null if the color is invalid.
+      //
+      var extended = function(i) {
+        var sub = args[i].split(':');
+        var byte = function(v) {
+          return common.clamp(parseInt(v, 10) || 0, 0, 255);
+        };
+        if(sub.length > 1) {
+          if(sub[1] === '5' && sub.length > 2)
+            return { index: byte(sub[2]), skip: 0 };
+          if(sub[1] === '2' && sub.length > 5)
+            return { rgb: [byte(sub[3]), byte(sub[4]), byte(sub[5])], skip: 0 };
+          if(sub[1] === '2' && sub.length === 5)
+            return { rgb: [byte(sub[2]), byte(sub[3]), byte(sub[4])], skip: 0 };
           return null;
-        return my.state.int_arg(i + 2, 0);
+        }
+        if(args[i + 1] === '5' && args.length > i + 2)
+          return { index: byte(args[i + 2]), skip: 2 };
+        if(args[i + 1] === '2' && args.length > i + 4)
+          return { rgb: [byte(args[i + 2]), 
+                         byte(args[i + 3]), 
+                         byte(args[i + 4])], skip: 4 };
+        return null;
       };
 
-      if(!my.state.args().length) {
+      if(!args.length) {
         that.emit('char_attr_reset');
         return;
       }
-      for (var i = 0; i < my.state.args().length; i++) {
-        var arg = my.state.int_arg(i, 0);
+      for (var i = 0; i < args.length; i++) {
+        var arg = parseInt(args[i], 10) || 0;
 
         if(arg < 30) {
           if(arg === 0)
             that.emit('char_attr_reset');
           if(arg === 1)
             that.emit('char_attr_set_bold', true);
+          if(arg === 2)
+            that.emit('char_attr_set_faint', true);
           if(arg === 3)
             that.emit('char_attr_set_italic', true);
-          if(arg === 4)
-            that.emit('char_attr_set_underline', true);
+          if(arg === 4) {
+            var style = UNDERLINE_STYLES[args[i].split(':')[1] || '1'];
+            if(style === null)
+              that.emit('char_attr_set_underline', false);
+            else if(style)
+              that.emit('char_attr_set_underline', true, style);
+          }
           if(arg === 5)
             that.emit('char_attr_set_blink', true);
           if(arg === 7)
             that.emit('char_attr_set_reverse', true);
           if(arg === 8)
             that.emit('char_attr_set_invisible', true);
-          if(arg === 21 || arg === 22)
+          if(arg === 9)
+            that.emit('char_attr_set_strikethrough', true);
+          if(arg === 21)
+            that.emit('char_attr_set_underline', true, 'double');
+          if(arg === 22) {
             that.emit('char_attr_set_bold', false);
+            that.emit('char_attr_set_faint', false);
+          }
           if(arg === 23)
             that.emit('char_attr_set_italic', false);
           if(arg === 24)
@@ -1371,6 +2062,8 @@ var vt = function(spec, my) {
             that.emit('char_attr_set_reverse', false);
           if(arg === 28)
             that.emit('char_attr_set_invisible', false);
+          if(arg === 29)
+            that.emit('char_attr_set_strikethrough', false);
         }
         else if(arg < 50) {
           /* foreground */
@@ -1378,10 +2071,16 @@ var vt = function(spec, my) {
             that.emit('char_attr_set_foreground_index', arg - 30);
           }
           else if(arg === 38) {
-            var c = get256(i);
+            var c = extended(i);
             if(c === null) break;
-            i+= 2;
-            that.emit('char_attr_set_foreground_index', c);
+            i += c.skip;
+            if(c.rgb) {
+              that.emit('char_attr_set_foreground_rgb', 
+                        c.rgb[0], c.rgb[1], c.rgb[2]);
+            }
+            else {
+              that.emit('char_attr_set_foreground_index', c.index);
+            }
           }
           else if(arg === 39) {
             that.emit('char_attr_set_foreground_index', null);
@@ -1391,15 +2090,42 @@ var vt = function(spec, my) {
             that.emit('char_attr_set_background_index', arg - 40);
           }
           else if(arg === 48) {
-            var c = get256(i);
+            var c = extended(i);
             if(c === null) break;
-            i+= 2;
-            that.emit('char_attr_set_background_index', c);
+            i += c.skip;
+            if(c.rgb) {
+              that.emit('char_attr_set_background_rgb', 
+                        c.rgb[0], c.rgb[1], c.rgb[2]);
+            }
+            else {
+              that.emit('char_attr_set_background_index', c.index);
+            }
           }
           else if(arg === 49) {
             that.emit('char_attr_set_background_index', null);
           }
         }
+        else if(arg === 53) {
+          that.emit('char_attr_set_overline', true);
+        }
+        else if(arg === 55) {
+          that.emit('char_attr_set_overline', false);
+        }
+        else if(arg === 58) {
+          var c = extended(i);
+          if(c === null) break;
+          i += c.skip;
+          if(c.rgb) {
+            that.emit('char_attr_set_underline_color_rgb', 
+                      c.rgb[0], c.rgb[1], c.rgb[2]);
+          }
+          else {
+            that.emit('char_attr_set_underline_color_index', c.index);
+          }
+        }
+        else if(arg === 59) {
+          that.emit('char_attr_set_underline_color_index', null);
+        }
         else if(arg >= 90 && arg <= 97) {
           that.emit('char_attr_set_foreground_index', arg - 90 + 8);
         }
@@ -1450,16 +2176,40 @@ var vt = function(spec, my) {
       that.emit('soft_reset');
     },
     // Request ANSI Mode (DECRQM)
-    '$p': ignore,
-    '?$p': ignore,
+    '$p': function() {
+      that.emit('request_mode', my.state.args()[0] || '0', false);
+    },
+    // Request DEC Private Mode (DECRQM)
+    '?$p': function() {
+      that.emit('request_mode', my.state.args()[0] || '0', true);
+    },
     // Set Performance Level (DECSCL)
     '"p': ignore,
     // Load LEDs (DECLL)
     'q': ignore,
     // Set Cursor Style (DECSCUSR, VT520)
-    ' q': ignore,
+    //   0, 1 Blinking block.
+    //   2    Steady block.
+    //   3    Blinking underline.
+    //   4    Steady underline.
+    //   5    Blinking bar.
+    //   6    Steady bar.
+    ' q': function() {
+      var ps = parseInt(my.state.args()[0], 10) || 0;
+      var shapes = ['block', 'block', 'block', 'underline', 'underline', 
+                    'bar', 'bar'];
+      if(ps > 6)
+        return;
+      that.emit('set_cursor_style', shapes[ps], ps === 0 || ps % 2 === 1);
+    },
     // Select Character Protection Attribute (DECSCA)
-    '"q': ignore,
+    //   0, 2 Characters can be erased by DECSED and DECSEL.
+    //   1    Characters can't be erased by DECSED and DECSEL.
+    '"q': function() {
+      var ps = my.state.int_arg(0, 0);
+      if(ps <= 2)
+        that.emit('set_protection', ps === 1, 'dec');
+    },
     // Set Scrolling Region (DECSTBM)
     'r': function() {
       var args = my.state.args();
@@ -1468,20 +2218,92 @@ var vt = function(spec, my) {
       that.emit('set_scroll_region', scroll_top, scroll_bottom);
       that.emit('set_cursor_position', 0, 0);
     },
-    // Restore DEC Private Mode Values
-    '?r': ignore,
+    // Restore DEC Private Mode Values (XTRESTORE)
+    '?r': function() {
+      that.emit('restore_dec_modes', dec_mode_codes(), set_dec_mode);
+    },
     // Change Attributes in Rectangular Area (DECCARA)
-    '$r': ignore,
-    // Save Cursor (ANSI.SYS)
+    //   Pt ; Pl ; Pb ; Pr denotes the rectangle.
+    //   Ps denotes the SGR attributes to change: 0, 1, 4, 5, 7.
+    '$r': function() {
+      var attrs = my.state.args().slice(4).map(function(a) {
+        return parseInt(a, 10) || 0;
+      });
+      that.emit('change_rectangle_attributes', rectangle(0), 
+                attrs.length ? attrs : [0]);
+    },
+    // Set Left and Right Margins (DECSLRM, VT420) if DECLRMM is set,
+    // Save Cursor (ANSI.SYS) otherwise
     's': function() {
-      save_cursor();
+      if(my.dec_modes['69']) {
+        var args = my.state.args();
+        var left = args[0] ? parseInt(args[0], 10) - 1 : null;
+        var right = args[1] ? parseInt(args[1], 10) - 1 : null;
+        that.emit('set_left_right_margins', left, right);
+        that.emit('set_cursor_position', 0, 0);
+      }
+      else {
+        save_cursor();
+      }
+    },
+    // Save DEC Private Mode Values (XTSAVE)
+    '?s': function() {
+      that.emit('save_dec_modes', dec_mode_codes());
+    },
+    // Window Manipulation (XTWINOPS, from dtterm)
+    //    4 ; height ; width  Resize the text area in pixels.
+    //    8 ; rows ; cols     Resize the text area in characters.
+    //   14                   Report the text area size in pixels.
+    //   16                   Report the character cell size in pixels.
+    //   18                   Report the text area size in characters.
+    //   19                   Report the screen size in characters.
+    //   22 ; 0/1/2           Push icon name and/or window title on the stack.
+    //   23 ; 0/1/2           Pop icon name and/or window title from the stack.
+    't': function() {
+      var args = my.state.args();
+      var ps = parseInt(args[0], 10) || 0;
+      var arg = function(i) {
+        return args[i] ? (parseInt(args[i], 10) || 0) : 0;
+      };
+      switch(ps) {
+        case 4: {
+          that.emit('resize_request_pixels', arg(2), arg(1));
+          break;
+        }
+        case 8: {
+          that.emit('resize_request', arg(2), arg(1));
+          break;
+        }
+        case 14:
+        case 16:
+        case 18:
+        case 19: {
+          that.emit('report_window', ps);
+          break;
+        }
+        case 22: {
+          that.emit('push_title', arg(1));
+          break;
+        }
+        case 23: {
+          that.emit('pop_title', arg(1));
+          break;
+        }
+        default: {
+          unknown('CSI', 't', args.slice(), raw_sequence('CSI', 't'));
+        }
+      }
     },
-    // Save DEC Private Mode Values
-    '?s': ignore,
-    // Window Manipulation (from dtterm)
-    't': ignore,
     // Reverse Attributes in Rectangular Area (DECRARA)
-    '$t': ignore,
+    //   Pt ; Pl ; Pb ; Pr denotes the rectangle.
+    //   Ps denotes the attributes to reverse: 1, 4, 5, 7 (0 for all).
+    '$t': function() {
+      var attrs = my.state.args().slice(4).map(function(a) {
+        return parseInt(a, 10) || 0;
+      });
+      that.emit('reverse_rectangle_attributes', rectangle(0), 
+                attrs.length ? attrs : [0]);
+    },
     // Set one or more Features of the Title Modes
     '>t': ignore,
     // Set Warning-Bell Volume (DECSWBV, VT520)
@@ -1491,27 +2313,67 @@ var vt = function(spec, my) {
       restore_cursor();
     },
     // Copy Rectangular Area (DECCRA, VT400)
-    '$v': ignore,
+    //   Pt ; Pl ; Pb ; Pr denotes the source rectangle.
+    //   Pp denotes the source page (ignored).
+    //   Pt ; Pl denotes the target location.
+    //   Pp denotes the target page (ignored).
+    '$v': function() {
+      that.emit('copy_rectangle', rectangle(0), 
+                my.state.int_arg(5, 1) - 1, my.state.int_arg(6, 1) - 1);
+    },
     // Enable Filter Rectangle (DECEFR)
     '\'w': ignore,
     // Request Terminal Parameters (DECREQTPARM)
     'x': ignore,
     // Select Attribute Change Extent (DECSACE)
-    '*x': ignore,
+    //   0, 1 From start to end position, wrapped.
+    //   2    Rectangle (exact).
+    '*x': function() {
+      var ps = my.state.int_arg(0, 0);
+      if(ps <= 2)
+        that.emit('set_attribute_change_extent', ps === 2);
+    },
     // Fill Rectangular Area (DECFRA, VT420)
-    '$x': ignore,
+    //   Pc is the character to use.
+    //   Pt ; Pl ; Pb ; Pr denotes the rectangle.
+    '$x': function() {
+      var pc = my.state.int_arg(0, 0);
+      /* Only graphic characters of GL and GR are allowed */
+      if((pc >= 32 && pc <= 126) || (pc >= 160 && pc <= 255))
+        that.emit('fill_rectangle', String.fromCharCode(pc), rectangle(1));
+    },
+    // Request Checksum of Rectangular Area (DECRQCRA, VT420)
+    //   Pi is the request id.
+    //   Pg is the page number (ignored).
+    //   Pt ; Pl ; Pb ; Pr denotes the rectangle.
+    '*y': function() {
+      that.emit('request_rectangle_checksum', my.state.int_arg(0, 0), 
+                rectangle(2));
+    },
     // Enable Locator Reporting (DECELR)
     '\'z': ignore,
     // Erase Rectangular Area (DECERA, VT400)
-    '$z': ignore,
+    //   Pt ; Pl ; Pb ; Pr denotes the rectangle.
+    '$z': function() {
+      that.emit('erase_rectangle', rectangle(0), false);
+    },
+    // Selective Erase Rectangular Area (DECSERA, VT400)
+    //   Pt ; Pl ; Pb ; Pr denotes the rectangle.
+    '${': function() {
+      that.emit('erase_rectangle', rectangle(0), true);
+    },
     // Select Locator Events (DECSLE)
     '\'{': ignore,
     // Request Locator Position (DECRQLP)
     '\'|': ignore,
     // Insert Columns (DECIC, VT420)
-    ' }': ignore,
+    ' }': function() {
+      that.emit('insert_columns', my.state.int_arg(0, 1));
+    },
     // Delete P s Columns (DECDC, VT420)
-    ' ~': ignore
+    ' ~': function() {
+      that.emit('delete_columns', my.state.int_arg(0, 1));
+    }
   };
   //
   // Aliases
@@ -1526,7 +2388,76 @@ var vt = function(spec, my) {
   // Collection of VT52 sequences.
   //
   my.VT52 = {
-    // ...
+    // Cursor Up
+    'A': function() {
+      that.emit('cursor_up', 1);
+    },
+    // Cursor Down
+    'B': function() {
+      that.emit('cursor_down', 1);
+    },
+    // Cursor Right
+    'C': function() {
+      that.emit('cursor_right', 1);
+    },
+    // Cursor Left
+    'D': function() {
+      that.emit('cursor_left', 1);
+    },
+    // Enter Graphics Mode
+    'F': function() {
+      my.vt52_graphics = true;
+    },
+    // Exit Graphics Mode
+    'G': function() {
+      my.vt52_graphics = false;
+    },
+    // Cursor to Home
+    'H': function() {
+      that.emit('set_cursor_position', 0, 0);
+    },
+    // Reverse Line Feed
+    'I': function() {
+      that.emit('reverse_line_feed');
+    },
+    // Erase to End of Screen
+    'J': function() {
+      that.emit('erase_below');
+    },
+    // Erase to End of Line
+    'K': function() {
+      that.emit('erase_right');
+    },
+    // Direct Cursor Address (`ESC Y row col`, offset by 0x20)
+    'Y': function() {
+      my.state.reset_args();
+      my.parse_state = STATES.VT52_ADDRESS;
+    },
+    // Identify
+    'Z': function() {
+      that.emit('write', '\x1b/Z');
+    },
+    // Enter Alternate Keypad Mode
+    '=': function() {
+      that.emit('set_application_keypad', true);
+    },
+    // Exit Alternate Keypad Mode
+    '>': function() {
+      that.emit('set_application_keypad', false);
+    },
+    // Enter ANSI Mode
+    '<': function() {
+      my.vt52 = false;
+      my.vt52_graphics = false;
+      that.emit('set_vt52_mode', false);
+    },
+    // Print Screen, Print Cursor Line, Printer Controller, Auto Print
+    ']': ignore,
+    'V': ignore,
+    'W': ignore,
+    'X': ignore,
+    '^': ignore,
+    '_': ignore
   };
 
   //
@@ -1548,8 +2479,21 @@ var vt = function(spec, my) {
   common.getter(that, 'GL', my, 'GL');
   common.setter(that, 'GL', my, 'GL');
 
+  common.getter(that, 'encoding', my, 'encoding');
+  common.getter(that, 'max_image_size', my, 'max_image_size');
+  common.setter(that, 'max_image_size', my, 'max_image_size');
+
   common.method(that, 'read', read, _super);
   common.method(that, 'reset', reset, _super);
+  common.method(that, 'set_encoding', set_encoding, _super);
+  common.method(that, 'register', register, _super);
+  common.method(that, 'unregister', unregister, _super);
+  common.method(that, 'register_charset', register_charset, _super);
+  common.method(that, 'unregister_charset', unregister_charset, _super);
+  common.method(that, 'stats', stats, _super);
+  common.method(that, 'dec_mode', dec_mode, _super);
+  common.method(that, 'allow_width_change', allow_width_change, _super);
+  common.method(that, 'nrcm', nrcm, _super);
 
   return that;
 };
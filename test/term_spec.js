@@ -27,14 +27,19 @@ describe('term', function() {
   /****************************************************************************/
   /*                             INITIALIZATION                               */
   /****************************************************************************/
-  var term, pty;
+  var term, pty, written;
 
   beforeEach(function(done) {
+    written = [];
     pty = new events.EventEmitter();
+    pty.write = function(data) {
+      written.push(data.toString('binary'));
+    };
     term = require('../index.js').term({
       pty: pty,
       cols: 40,
-      rows: 24
+      rows: 24,
+      unknown: 'silent'
     });
 
     return done();
@@ -101,4 +106,630 @@ describe('term', function() {
     data += '\x1b[1;24r';
     pty.emit('data', data);
   });
+
+  it('should decode multibyte characters split across chunks', function(done) {
+    var data = new Buffer('\u00e9t\u00e9', 'utf8');
+    pty.emit('data', data.slice(0, 1));
+    pty.emit('data', data.slice(1, 4));
+    pty.emit('data', data.slice(4));
+
+    var l = line_to_string(term.buffer()[0]);
+    expect(l.substr(0, 4)).toEqual('\u00e9t\u00e9 ');
+    return done();
+  });
+
+  it('should report mouse events with the requested protocol', function(done) {
+    expect(term.mouse({ type: 'press', button: 0, x: 0, y: 0 })).toEqual(false);
+
+    pty.emit('data', '\x1b[?1000h');
+    term.mouse({ type: 'press', button: 0, x: 1, y: 2 });
+    term.mouse({ type: 'move', button: 0, x: 2, y: 2 });
+    term.mouse({ type: 'release', button: 0, x: 2, y: 2 });
+    expect(written).toEqual(['\x1b[M "#', '\x1b[M###']);
+
+    written = [];
+    pty.emit('data', '\x1b[?1002h\x1b[?1006h');
+    expect(term.mouse_mode().protocol).toEqual('button');
+    expect(term.mouse_mode().encoding).toEqual('sgr');
+    term.mouse({ type: 'move', button: 0, x: 2, y: 2 });
+    term.mouse({ type: 'release', button: 2, x: 2, y: 2, 
+                 modifiers: { ctrl: true } });
+    term.mouse({ type: 'wheel', button: 1, x: 300, y: 2 });
+    expect(written).toEqual(['\x1b[<32;3;3M', '\x1b[<18;3;3m',
+                             '\x1b[<65;301;3M']);
+
+    written = [];
+    pty.emit('data', '\x1b[?1002l\x1b[?1007h\x1b[?1049h');
+    term.mouse({ type: 'wheel', button: 1, x: 0, y: 0 });
+    expect(written).toEqual(['\x1b[B']);
+    return done();
+  });
+
+  it('should bracket and sanitize pasted text', function(done) {
+    term.paste('ls\n\x1b[201~rm\r\n');
+    expect(written).toEqual(['ls\rrm\r']);
+
+    written = [];
+    pty.emit('data', '\x1b[?2004h');
+    term.paste('echo\n');
+    expect(written).toEqual(['\x1b[200~', 'echo\r', '\x1b[201~']);
+
+    written = [];
+    term.paste('\x1b[20\x1b[201~1~rm -rf ~\r');
+    expect(written).toEqual(['\x1b[200~', 'rm -rf ~\r', '\x1b[201~']);
+    return done();
+  });
+
+  it('should report focus changes when requested', function(done) {
+    term.focus(false);
+    expect(written).toEqual([]);
+    expect(term.has_focus()).toEqual(false);
+
+    pty.emit('data', '\x1b[?1004h');
+    term.focus(true);
+    term.focus(true);
+    term.focus(false);
+    expect(written).toEqual(['\x1b[I', '\x1b[O']);
+    return done();
+  });
+
+  it('should encode keys according to the keyboard modes', function(done) {
+    term.key({ key: 'ArrowUp' });
+    term.key({ key: 'ArrowUp', ctrl: true });
+    term.key({ key: 'F1' });
+    term.key({ key: 'F5', shift: true });
+    term.key({ key: 'c', ctrl: true });
+    term.key({ key: 'b', alt: true });
+    term.key({ key: 'Backspace' });
+    expect(term.key({ key: 'Shift', shift: true })).toEqual(false);
+    expect(written).toEqual(['\x1b[A', '\x1b[1;5A', '\x1bOP', '\x1b[15;2~',
+                             '\x03', '\x1bb', '\x7f']);
+
+    written = [];
+    pty.emit('data', '\x1b[?1h\x1b=\x1b[?67h');
+    term.key({ key: 'ArrowUp' });
+    term.key({ key: '5', code: 'Numpad5' });
+    term.key({ key: 'Backspace' });
+    expect(written).toEqual(['\x1bOA', '\x1bOu', '\x08']);
+    return done();
+  });
+
+  it('should store truecolor attributes in glyphs', function(done) {
+    pty.emit('data', '\x1b[38;2;255;128;0;48:2::1:2:3ma\x1b[38:5:1mb' +
+                     '\x1b[0mc');
+    var line = term.buffer()[0];
+    expect(line[0][2].fg).toEqual([255, 128, 0]);
+    expect(line[0][2].bg).toEqual([1, 2, 3]);
+    expect(line[1][2].fg).toBeUndefined();
+    expect(line[1][2].bg).toEqual([1, 2, 3]);
+    expect((line[1][0] >> 9) & 0x1ff).toEqual(1);
+    expect(line[2][2]).toBeUndefined();
+    return done();
+  });
+
+  it('should store extended renditions in glyphs', function(done) {
+    var CHAR_ATTRS = require('../index.js').CHAR_ATTRS;
+    var has = function(glyph, bit) {
+      return ((glyph[0] >> 18) & bit) !== 0;
+    };
+
+    pty.emit('data', '\x1b[2;9;53ma\x1b[22;29;55;4:3;58;5;1mb' +
+                     '\x1b[24;59;8mc\x1b[28;21md');
+    var line = term.buffer()[0];
+    expect(has(line[0], CHAR_ATTRS.FAINT)).toEqual(true);
+    expect(has(line[0], CHAR_ATTRS.STRIKE)).toEqual(true);
+    expect(has(line[0], CHAR_ATTRS.OVERLINE)).toEqual(true);
+    expect(has(line[1], CHAR_ATTRS.FAINT | CHAR_ATTRS.STRIKE |
+                        CHAR_ATTRS.OVERLINE)).toEqual(false);
+    expect(has(line[1], CHAR_ATTRS.UNDERLINE)).toEqual(true);
+    expect(line[1][2]).toEqual({ underline: 'curly', ul_color: 1 });
+    expect(has(line[2], CHAR_ATTRS.UNDERLINE)).toEqual(false);
+    expect(has(line[2], CHAR_ATTRS.INVISIBLE)).toEqual(true);
+    expect(line[2][2]).toBeUndefined();
+    expect(has(line[3], CHAR_ATTRS.INVISIBLE)).toEqual(false);
+    expect(line[3][2]).toEqual({ underline: 'double' });
+    return done();
+  });
+
+  it('should set, query and reset the color palette', function(done) {
+    var events = 0;
+    term.on('palette', function() { events++; });
+
+    pty.emit('data', '\x1b]4;1;rgb:ff/80/00;2;#102030\x07');
+    expect(term.palette().colors[1]).toEqual([255, 128, 0]);
+    expect(term.palette().colors[2]).toEqual([16, 32, 48]);
+    pty.emit('data', '\x1b]4;1;?\x1b\\\x1b]11;?\x07');
+    expect(written).toEqual(['\x1b]4;1;rgb:ffff/8080/0000\x1b\\',
+                             '\x1b]11;rgb:0000/0000/0000\x07']);
+
+    pty.emit('data', '\x1b]10;#fff;#123\x07');
+    expect(term.palette().foreground).toEqual([240, 240, 240]);
+    expect(term.palette().background).toEqual([16, 32, 48]);
+    pty.emit('data', '\x1b]10;#fffeeeddd;#123456789abc\x07');
+    expect(term.palette().foreground).toEqual([255, 238, 221]);
+    expect(term.palette().background).toEqual([18, 86, 154]);
+    pty.emit('data', '\x1b]104;1\x07\x1b]111\x07');
+    expect(term.palette().colors[1]).toEqual([205, 0, 0]);
+    expect(term.palette().colors[2]).toEqual([16, 32, 48]);
+    expect(term.palette().background).toEqual([0, 0, 0]);
+    expect(events).toEqual(8);
+    return done();
+  });
+
+  it('should attach hyperlinks to printed cells', function(done) {
+    pty.emit('data', 'a\x1b]8;id=1;http://x.org/a;b\x1b\\bc' +
+                     '\x1b]8;;\x1b\\d\x1b]8;id=1;http://x.org/a;b\x07e');
+    expect(term.link_at(0, 0)).toEqual(null);
+    expect(term.link_at(1, 0)).toEqual({ uri: 'http://x.org/a;b', id: '1' });
+    expect(term.link_at(2, 0)).toEqual({ uri: 'http://x.org/a;b', id: '1' });
+    expect(term.link_at(3, 0)).toEqual(null);
+    expect(term.buffer()[0][4][2].link).toBe(term.buffer()[0][1][2].link);
+
+    /* Links outlive the bounded table used to share them between glyphs */
+    var data = '';
+    for(var i = 0; i < 1100; i ++) {
+      data += '\x1b]8;;http://x.org/' + i + '\x07x';
+    }
+    pty.emit('data', data + '\x1b]8;;\x07');
+    expect(term.buffer()[0][1][2].link).toEqual({ 
+      uri: 'http://x.org/a;b', id: '1' 
+    });
+    expect(term.buffer()[0][5][2].link.uri).toEqual('http://x.org/0');
+    return done();
+  });
+
+  it('should track the cwd and shell command marks', function(done) {
+    var cwd = null, finished = null;
+    term.on('cwd', function(path) { cwd = path; });
+    term.on('command_finish', function(c) { finished = c; });
+
+    pty.emit('data', '\x1b]7;file://host/home/a%20b\x07');
+    expect(cwd).toEqual('/home/a b');
+    expect(term.cwd()).toEqual('/home/a b');
+
+    pty.emit('data', '\x1b]133;A\x07$ \x1b]133;B\x07ls\r\n' +
+                     '\x1b]133;C\x07foo\r\n\x1b]133;D;1\x07');
+    expect(term.commands().length).toEqual(1);
+    expect(finished).toEqual({
+      prompt: { x: 0, y: 0 },
+      input: { x: 2, y: 0 },
+      output: { x: 0, y: 1 },
+      end: { x: 0, y: 2 },
+      exit_code: 1
+    });
+
+    /* Marks follow their lines when the scroll region is scrolled */
+    pty.emit('data', '\x1b[1;3r\x1b[H\x1bM');
+    expect(term.commands()).toEqual([{
+      prompt: { x: 0, y: 1 },
+      input: { x: 2, y: 1 },
+      output: { x: 0, y: 2 },
+      end: null,
+      exit_code: null
+    }]);
+    pty.emit('data', '\x1bc');
+    expect(term.commands()).toEqual([]);
+
+    /* The current command survives the alternate screen */
+    pty.emit('data', '\x1b]133;A\x07$ \x1b]133;B\x07vi\r\n\x1b]133;C\x07' +
+                     '\x1b[?1049h\x1b]133;D;1\x07\x1b[?1049l' +
+                     '\x1b]133;D;0\x07');
+    expect(finished).toEqual({
+      prompt: { x: 0, y: 0 },
+      input: { x: 2, y: 0 },
+      output: { x: 0, y: 1 },
+      end: { x: 0, y: 1 },
+      exit_code: 0
+    });
+    expect(term.commands()).toEqual([finished]);
+    return done();
+  });
+
+  it('should answer DECRQSS and XTGETTCAP requests', function(done) {
+    pty.emit('data', '\x1b[1;4:3;31;48;5;100m\x1b[2;20r' +
+                     '\x1bP$qm\x1b\\\x1bP$qr\x1b\\\x1bP$qx\x1b\\');
+    expect(written).toEqual(['\x1bP1$r0;1;4:3;31;48;5;100m\x1b\\',
+                             '\x1bP1$r2;20r\x1b\\',
+                             '\x1bP0$r\x1b\\']);
+
+    /* The conformance level is fixed as DECSCL is ignored */
+    written = [];
+    pty.emit('data', '\x1bP$q"p\x1b\\\x1b[62;1"p\x1bP$q"p\x1b\\');
+    expect(written).toEqual(['\x1bP1$r61;1"p\x1b\\',
+                             '\x1bP1$r61;1"p\x1b\\']);
+
+    written = [];
+    pty.emit('data', '\x1bP+q436f;5463;787878\x1b\\');
+    expect(written).toEqual(['\x1bP1+r436f=323536\x1b\\',
+                             '\x1bP1+r5463\x1b\\',
+                             '\x1bP0+r787878\x1b\\']);
+    return done();
+  });
+
+  it('should decode and place sixel images', function(done) {
+    var placed = null;
+    term.on('image', function(p) { placed = p; });
+
+    /* 2x12 image: red top sixel row, green bottom one (split ST) */
+    pty.emit('data', 'ab\x1bPq"1;1;2;12#1;2;100;0;0#1~~-#2;2;0;100;0#2!2~\x1b');
+    pty.emit('data', '\\c');
+    expect(placed.x).toEqual(2);
+    expect(placed.y).toEqual(0);
+    expect(placed.rows).toEqual(1);
+    expect(placed.image.width).toEqual(2);
+    expect(placed.image.height).toEqual(12);
+    var px = function(x, y) {
+      var o = (y * 2 + x) * 4;
+      return Array.prototype.slice.call(placed.image.data, o, o + 4);
+    };
+    expect(px(1, 0)).toEqual([255, 0, 0, 255]);
+    expect(px(0, 11)).toEqual([0, 255, 0, 255]);
+    expect(term.images().length).toEqual(1);
+    expect(term.cursor().x).toEqual(3);
+    expect(term.cursor().y).toEqual(1);
+    expect(line_to_string(term.buffer()[1]).substr(0, 3)).toEqual('  c');
+
+    /* Oversized images are clipped to the screen size (320x384 pixels) */
+    pty.emit('data', '\x1bP0;0;0q"1;1;99999;99999#1!999999999~\x1b\\');
+    expect(placed.image.width).toEqual(320);
+    expect(placed.image.height).toEqual(384);
+    expect(placed.image.data.length).toEqual(320 * 384 * 4);
+    return done();
+  });
+
+  it('should drop image placements erased or scrolled out', function(done) {
+    var sixel = '\x1bPq#1~\x1b\\';
+    pty.emit('data', '\x1b[5;1H' + sixel + '\x1b[3;1H' + sixel);
+    expect(term.images().map(function(p) { return p.y; })).toEqual([4, 2]);
+
+    /* Reverse index at the top of the region scrolls line 5 out */
+    pty.emit('data', '\x1b[2;5r\x1b[2;1H\x1bM');
+    expect(term.images().map(function(p) { return p.y; })).toEqual([3]);
+    pty.emit('data', '\x1b[r\x1b[2J');
+    expect(term.images().length).toEqual(0);
+
+    /* Only the last 64 placements are kept */
+    for(var i = 0; i < 70; i ++) {
+      pty.emit('data', sixel);
+    }
+    expect(term.images().length).toEqual(64);
+    expect(term.images()[0].y).toEqual(6);
+    return done();
+  });
+
+  it('should track the cursor style and visibility', function(done) {
+    var events = [];
+    term.on('cursor', function(c) { events.push(c); });
+
+    expect(term.cursor()).toEqual({ x: 0, y: 0, shape: 'block', 
+                                    blink: true, visible: true });
+    pty.emit('data', '\x1b[6 q\x1b[?25l\x1b[?25l\x1bP$q q\x1b\\');
+    expect(events.length).toEqual(2);
+    expect(events[1]).toEqual({ x: 0, y: 0, shape: 'bar', 
+                                blink: false, visible: false });
+    expect(written).toEqual(['\x1bP1$r6 q\x1b\\']);
+
+    pty.emit('data', '\x1b[?12h\x1b[?1049h');
+    expect(term.cursor().blink).toEqual(true);
+    expect(term.cursor().visible).toEqual(false);
+    expect(events.length).toEqual(3);
+    return done();
+  });
+
+  it('should report mode states with DECRQM', function(done) {
+    pty.emit('data', '\x1b[?2004h\x1b[4h' +
+                     '\x1b[?2004$p\x1b[?1000$p\x1b[?7$p\x1b[?9999$p' +
+                     '\x1b[4$p\x1b[?45$p');
+    expect(written).toEqual(['\x1b[?2004;1$y', '\x1b[?1000;2$y',
+                             '\x1b[?7;1$y', '\x1b[?9999;0$y',
+                             '\x1b[4;1$y', '\x1b[?45;4$y']);
+    return done();
+  });
+
+  it('should handle window operations and the title stack', function(done) {
+    pty.emit('data', '\x1b[14t\x1b[16t\x1b[18t');
+    expect(written).toEqual(['\x1b[4;384;320t', '\x1b[6;16;8t',
+                             '\x1b[8;24;40t']);
+
+    pty.emit('data', '\x1b]0;shell\x07\x1b[22;0t\x1b]2;vim\x07');
+    expect(term.title()).toEqual('vim');
+    pty.emit('data', '\x1b[23;0t');
+    expect(term.title()).toEqual('shell');
+    expect(term.icon_name()).toEqual('shell');
+
+    term.on('resize_request', function(cols, rows, accept) {
+      expect(cols).toEqual(80);
+      expect(rows).toEqual(24);
+      accept();
+    });
+    pty.emit('data', '\x1b[8;;80t');
+    expect(term.buffer()[0].length).toEqual(80);
+    return done();
+  });
+
+  it('should interpret VT52 sequences in VT52 mode', function(done) {
+    pty.emit('data', '\x1b[?2l\x1bY%*ab\x1bFq\x1bGq\x1bZ');
+    var l = line_to_string(term.buffer()[5]);
+    expect(l.substr(10, 4)).toEqual('ab\u2500q');
+    term.key({ key: 'ArrowUp' });
+    expect(written).toEqual(['\x1b/Z', '\x1bA']);
+
+    pty.emit('data', '\x1b<\x1b[?2$p\x1b[Hc');
+    expect(line_to_string(term.buffer()[0]).substr(0, 1)).toEqual('c');
+    expect(written[2]).toEqual('\x1b[?2;1$y');
+    return done();
+  });
+
+  it('should copy, fill, erase and checksum rectangular areas', 
+     function(done) {
+    pty.emit('data', 'abc\x1b[1;1;1;3;1;3;5;1$v\x1b[120;5;1;6;2$x');
+    pty.emit('data', '\x1b[3;5;3;5$z');
+    expect(line_to_string(term.buffer()[2]).substr(0, 8)).toEqual('     bc ');
+    expect(line_to_string(term.buffer()[4]).substr(0, 3)).toEqual('xx ');
+    expect(line_to_string(term.buffer()[5]).substr(0, 3)).toEqual('xx ');
+
+    pty.emit('data', '\x1b[7;1;1;1;1;3*y');
+    expect(written[0]).toEqual('\x1bP7!~FEDA\x1b\\');
+    pty.emit('data', '\x1b[2*x\x1b[1;1;1;2;1$r\x1b[8;1;1;1;1;3*y');
+    expect(written[1]).toEqual('\x1bP8!~FDDA\x1b\\');
+    return done();
+  });
+
+  it('should respect left and right margins', function(done) {
+    pty.emit('data', '0123456789\r\n0123456789\x1b[?69h\x1b[3;6s');
+    pty.emit('data', '\x1b[1;4H\x1b[P\x1b[2;3H\x1b[2@');
+    expect(line_to_string(term.buffer()[0]).substr(0, 10))
+      .toEqual('01245 6789');
+    expect(line_to_string(term.buffer()[1]).substr(0, 10))
+      .toEqual('01  236789');
+
+    pty.emit('data', '\x1b[1;6HXYZ');
+    expect(line_to_string(term.buffer()[0]).substr(0, 10))
+      .toEqual('01245X6789');
+    expect(line_to_string(term.buffer()[1]).substr(0, 10))
+      .toEqual('01YZ236789');
+    expect(term.cursor().x).toEqual(4);
+
+    pty.emit('data', '\x1b[?69$p\x1b[?69l\x1b[?69$p');
+    expect(written).toEqual(['\x1b[?69;1$y', '\x1b[?69;2$y']);
+    return done();
+  });
+
+  it('should print within the margins in origin mode', function(done) {
+    pty.emit('data', '\x1b[?69h\x1b[5;10s\x1b[3;5r\x1b[?6h');
+    pty.emit('data', 'abcdefgh\r\nij\x1b[DX');
+    expect(line_to_string(term.buffer()[2]).substr(0, 12))
+      .toEqual('    abcdef  ');
+    expect(line_to_string(term.buffer()[3]).substr(0, 12))
+      .toEqual('    gh      ');
+    expect(line_to_string(term.buffer()[4]).substr(0, 12))
+      .toEqual('    iX      ');
+    expect(term.cursor()).toEqual(jasmine.objectContaining({ x: 6, y: 4 }));
+    return done();
+  });
+
+  it('should handle double width and double height lines', function(done) {
+    var LINE_ATTRS = require('../index.js').LINE_ATTRS;
+    var refresh = null;
+    term.on('refresh', function(dirty, slice) {
+      refresh = slice;
+    });
+    pty.emit('data', '0123456789012345678901234567890123456789');
+    pty.emit('data', '\x1b[1;1H\x1b#6\x1b[1;40H');
+    expect(term.cursor().x).toEqual(19);
+    expect(line_to_string(term.buffer()[0]).substr(18, 4)).toEqual('89  ');
+
+    pty.emit('data', 'ab');
+    expect(line_to_string(term.buffer()[1]).substr(0, 2)).toEqual('b ');
+
+    pty.emit('data', '\x1b#3\x1b[3;1H\x1b#4');
+    expect(term.buffer()[0].attr).toEqual(LINE_ATTRS.DOUBLE_WIDTH);
+    expect(refresh[0].attr).toEqual(LINE_ATTRS.DOUBLE_TOP);
+    expect(refresh[1].attr).toEqual(LINE_ATTRS.DOUBLE_BOTTOM);
+
+    pty.emit('data', '\x1b#5\x1b[2J');
+    expect(term.buffer()[2].attr).toBeUndefined();
+    expect(term.buffer()[0].attr).toBeUndefined();
+    return done();
+  });
+
+  it('should keep protected characters on selective erase', function(done) {
+    pty.emit('data', 'ab\x1b[1"qcd\x1b[0"qef\x1b[?2K');
+    expect(line_to_string(term.buffer()[0]).substr(0, 7)).toEqual('  cd   ');
+    pty.emit('data', '\x1b[2K');
+    expect(line_to_string(term.buffer()[0]).substr(0, 7)).toEqual('       ');
+
+    /* Characters protected by SPA/EPA survive normal erase */
+    pty.emit('data', '\r\nab\x1bVcd\x1bWef\x1b[2J');
+    expect(line_to_string(term.buffer()[1]).substr(0, 7)).toEqual('  cd   ');
+    pty.emit('data', '\x1bP$q"q\x1b\\');
+    expect(written).toEqual(['\x1bP1$r0"q\x1b\\']);
+    return done();
+  });
+
+  it('should save and restore DEC private modes', function(done) {
+    pty.emit('data', '\x1b[?1000h\x1b[?6h\x1b[?s');
+    pty.emit('data', '\x1b[?1000;7;6;25;2004;1048s');
+    pty.emit('data', '\x1b[?1003h\x1b[?7l\x1b[?6l\x1b[?25l\x1b[?2004h');
+    expect(term.mouse_mode().protocol).toEqual('any');
+
+    pty.emit('data', '\x1b[?1000;7;6;25;2004;1048r');
+    expect(term.mouse_mode().protocol).toEqual('normal');
+    pty.emit('data', '\x1b[?7$p\x1b[?6$p\x1b[?25$p\x1b[?2004$p');
+    expect(written).toEqual(['\x1b[?7;1$y', '\x1b[?6;1$y', 
+                             '\x1b[?25;1$y', '\x1b[?2004;2$y']);
+
+    /* Modes kept by `vt` are saved and restored from its state */
+    written = [];
+    pty.emit('data', '\x1b[?40l\x1b[?42;69h\x1b[?40;42;69s');
+    pty.emit('data', '\x1b[?40h\x1b[?42;69l\x1b[?40;42;69r');
+    expect(term.vt().dec_mode('40')).toEqual(false);
+    expect(term.vt().nrcm()).toEqual(true);
+    pty.emit('data', '\x1b[?40$p\x1b[?42$p\x1b[?69$p\x1bc\x1b[?69$p');
+    expect(written).toEqual(['\x1b[?40;2$y', '\x1b[?42;1$y', 
+                             '\x1b[?69;1$y', '\x1b[?69;2$y']);
+    return done();
+  });
+
+  it('should handle character set designation and invocation', function(done) {
+    /* National sets require DECNRCM */
+    pty.emit('data', '\x1b(K[\x1b[?42h\x1b(K[\x1b(B');
+    /* Single shift G2 for one character only */
+    pty.emit('data', '\x1b*0\x1bNqq');
+    expect(line_to_string(term.buffer()[0]).substr(0, 5))
+      .toEqual('[\u00c4\u2500q ');
+
+    /* GR invocation of G1 in 8-bit mode */
+    pty.emit('data', new Buffer('\r\n\x1b%@\x1b~\xf1\x1b%G', 'binary'));
+    pty.emit('data', new Buffer('\u00f1', 'utf8'));
+    expect(line_to_string(term.buffer()[1]).substr(0, 3))
+      .toEqual('\u2500\u00f1 ');
+
+    /* French Canadian national set */
+    pty.emit('data', '\r\n\x1b(Q@{\x1b(B');
+    expect(line_to_string(term.buffer()[2]).substr(0, 3))
+      .toEqual('\u00e0\u00e9 ');
+
+    /* Registered sets are designated by their (intermediate and) final */
+    var map = term.vt().register_charset('%9', {
+      name: 'test', glmap: { 'a': 'z' }
+    });
+    expect(map.name()).toEqual('test');
+    expect(map.GR('\xe1')).toEqual('z');
+    pty.emit('data', '\r\n\x1b(%9abc\x1b(Ba');
+    expect(line_to_string(term.buffer()[3]).substr(0, 5))
+      .toEqual('zbca ');
+
+    /* Registered sets are scoped to their `vt` instance */
+    var vt = require('../index.js').vt({ unknown: 'event' });
+    var unknown = [];
+    vt.on('unknown_sequence', function(seq) { unknown.push(seq.raw); });
+    vt.read('\x1b(%9');
+    expect(unknown).toEqual(['\x1b(%9']);
+    term.vt().unregister_charset('%9');
+    pty.emit('data', '\x1b(%9a\x1b(Ba');
+    expect(line_to_string(term.buffer()[3]).substr(0, 6))
+      .toEqual('zbcaaa');
+    return done();
+  });
+
+  it('should dispatch registered sequence handlers', function(done) {
+    var events = [];
+    term.on('sequence', function(name, key, value) {
+      events.push([name, key, value]);
+    });
+    term.vt().register('OSC', '1337', function(seq) {
+      var m = seq.data.match(/^SetUserVar=([^=]*)=(.*)$/);
+      seq.emit('user_var', m[1], new Buffer(m[2], 'base64').toString());
+    });
+    term.vt().register('CSI', '?h', function(seq) {
+      seq.emit('dec_set', seq.args[0], seq.leading);
+      return false;
+    });
+    pty.emit('data', '\x1b]1337;SetUserVar=foo=YmFy\x07\x1b[?6h');
+    expect(events).toEqual([['user_var', 'foo', 'bar'], 
+                            ['dec_set', '6', '?']]);
+    pty.emit('data', '\x1b[?6$p');
+    expect(written).toEqual(['\x1b[?6;1$y']);
+
+    term.vt().unregister('OSC', '1337');
+    pty.emit('data', '\x1b]1337;SetUserVar=foo=YmFy\x07');
+    expect(events.length).toEqual(2);
+    expect(function() {
+      term.vt().register('APC', 'x', function() {});
+    }).toThrow();
+    return done();
+  });
+
+  it('should report unknown sequences according to the policy', 
+     function(done) {
+    var vt = require('../index.js').vt({ unknown: 'event' });
+    var unknown = [];
+    vt.on('unknown_sequence', function(seq) {
+      unknown.push(seq);
+    });
+    vt.read('\x1b[1;2y\x1b[?1234h\x1b[>1T\x1b[1;2y');
+    expect(unknown.length).toEqual(4);
+    expect(unknown[0].raw).toEqual('\x1b[1;2y');
+    expect(unknown[0].args).toEqual(['1', '2']);
+    expect(unknown[1].type).toEqual('DEC_MODE');
+    expect(unknown[2].ignored).toEqual(true);
+    expect(vt.stats()).toEqual({ 
+      CSI: { 'y': 2, '>T': 1 }, 
+      DEC_MODE: { '1234': 1 } 
+    });
+
+    /* Out of range ED / EL arguments are unknown, not printed */
+    unknown = [];
+    vt.read('\x1b[5J\x1b[3K\x1b[?5J');
+    expect(unknown.map(function(seq) { return seq.raw; }))
+      .toEqual(['\x1b[5J', '\x1b[3K', '\x1b[?5J']);
+    expect(unknown[2].code).toEqual('?J');
+
+    var strict = require('../index.js').vt({ unknown: 'strict' });
+    var printed = '';
+    strict.on('print', function(str) { printed += str; });
+    expect(function() { strict.read('ab\x1b[1;2ycd\x1b[5z'); })
+      .toThrow('Unsupported CSI sequence: "\\u001b[1;2y"');
+    strict.read('e');
+    expect(printed).toEqual('abcde');
+    expect(function() {
+      require('../index.js').vt({ unknown: 'loud' });
+    }).toThrow();
+
+    /* `term` reports strict errors instead of swallowing them */
+    var strict_pty = new events.EventEmitter();
+    var strict_term = require('../index.js').term({
+      pty: strict_pty, cols: 10, rows: 2, unknown: 'strict'
+    });
+    /* Without `error` listener strict errors are logged, not thrown */
+    var log = require('../lib/common.js').factory.log();
+    spyOn(log, 'error');
+    strict_pty.emit('data', '\x1b[1;2y');
+    expect(log.error).toHaveBeenCalled();
+    var errors = [];
+    strict_term.on('error', function(err) { errors.push(err.message); });
+    strict_pty.emit('data', 'ab\x1b[1;2ycd');
+    expect(errors).toEqual(['Unsupported CSI sequence: "\\u001b[1;2y"']);
+    expect(line_to_string(strict_term.buffer()[0])).toEqual('abcd      ');
+    return done();
+  });
+
+  it('should ignore the rest of strings exceeding their maximum length', 
+     function(done) {
+    var vt = require('../index.js').vt({ 
+      unknown: 'event', 
+      max_string_sequence: 8 
+    });
+    var printed = '', unknown = [], titles = [];
+    vt.on('print', function(str) { printed += str; });
+    vt.on('unknown_sequence', function(seq) { unknown.push(seq); });
+    vt.on('set_window_title', function(title) { titles.push(title); });
+    vt.read('a\x1b]2;0123456789');
+    vt.read('0123456789\x07b\x1bP$q0123456789');
+    vt.read('0123\x1b\\c\x1b]2;0123456789\x18d\x1b]2;ok\x07');
+    expect(printed).toEqual('abc?d');
+    expect(unknown).toEqual([]);
+    expect(titles).toEqual(['ok']);
+    return done();
+  });
+
+  it('should parse sequences split across reads', function(done) {
+    var data = new Buffer('\x1b[1;31mé\x1b[0m€\x1b]2;tïtle\x1b\\' +
+                          '\x1bP$qm\x1b\\\x1b^pm\x07\x1bXsos\x1b\\x\x1b#', 
+                          'utf8');
+    for(var i = 0; i < data.length; i ++) {
+      pty.emit('data', data.slice(i, i + 1));
+    }
+    pty.emit('data', '8');
+    expect(line_to_string(term.buffer()[0]).substr(0, 3)).toEqual('EEE');
+
+    pty.emit('data', '\x1b[2J\x1b[H');
+    pty.emit('data', data);
+    expect(line_to_string(term.buffer()[0]).substr(0, 4)).toEqual('é€x ');
+    expect(term.buffer()[0][0][0]).not.toEqual(term.buffer()[0][1][0]);
+    expect(term.title()).toEqual('tïtle');
+    expect(written).toEqual(['\x1bP1$r0m\x1b\\', '\x1bP1$r0m\x1b\\']);
+    return done();
+  });
 });